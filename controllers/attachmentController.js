@@ -0,0 +1,255 @@
+const Task = require('../models/Task');
+const getStorage = require('../utils/storage');
+const { canAccessTask, refId } = require('../utils/taskAccess');
+const { logActivity } = require('../utils/activityLogger');
+const { hasPermission } = require('../utils/permissions');
+const { publishTaskEvent } = require('../utils/eventBus');
+
+// Storage keys are internal; hide them from API responses
+const serializeAttachment = (attachment) => {
+  const { key, ...rest } = attachment.toObject();
+  return rest;
+};
+
+// @desc    Upload attachment to task
+// @route   POST /api/tasks/:id/attachments
+// @access  Private
+exports.uploadAttachment = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a file'
+      });
+    }
+
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await canAccessTask(task, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    const { key } = await getStorage().save({
+      buffer: req.file.buffer,
+      originalname: req.file.originalname,
+      mimetype: req.file.mimetype,
+      folder: task._id.toString()
+    });
+
+    task.attachments.push({
+      filename: req.file.originalname,
+      key,
+      mimeType: req.file.mimetype,
+      size: req.file.size,
+      uploadedBy: req.user.id
+    });
+
+    const attachment = task.attachments[task.attachments.length - 1];
+    attachment.url = `/api/tasks/${task._id}/attachments/${attachment._id}`;
+
+    try {
+      await task.save();
+    } catch (error) {
+      await getStorage().remove(key);
+      throw error;
+    }
+
+    await logActivity({
+      req,
+      entityType: 'Task',
+      entityId: task._id,
+      action: 'attachment.add',
+      metadata: { attachmentId: attachment._id, filename: attachment.filename, size: attachment.size }
+    });
+    publishTaskEvent('task.updated', task, {
+      actor: req.user,
+      data: { action: 'attachment.add', attachmentId: attachment._id }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Attachment uploaded successfully',
+      data: serializeAttachment(attachment)
+    });
+  } catch (error) {
+    console.error('Upload attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading attachment'
+    });
+  }
+};
+
+// @desc    Get task attachments
+// @route   GET /api/tasks/:id/attachments
+// @access  Private
+exports.getAttachments = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id)
+      .populate('attachments.uploadedBy', 'name email');
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await canAccessTask(task, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this task'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: task.attachments.length,
+      data: task.attachments.map(serializeAttachment)
+    });
+  } catch (error) {
+    console.error('Get attachments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching attachments'
+    });
+  }
+};
+
+// @desc    Download attachment
+// @route   GET /api/tasks/:id/attachments/:attachmentId
+// @access  Private
+exports.downloadAttachment = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await canAccessTask(task, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this task'
+      });
+    }
+
+    const attachment = task.attachments.id(req.params.attachmentId);
+
+    if (!attachment || !attachment.key) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    const stream = await getStorage().createReadStream(attachment.key);
+
+    res.setHeader('Content-Type', attachment.mimeType || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`);
+    if (attachment.size) res.setHeader('Content-Length', attachment.size);
+
+    stream.on('error', (error) => {
+      console.error('Download attachment stream error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Download attachment error:', error);
+
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment file is missing'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error downloading attachment'
+    });
+  }
+};
+
+// @desc    Delete attachment
+// @route   DELETE /api/tasks/:id/attachments/:attachmentId
+// @access  Private (uploader, or attachment:delete permission)
+exports.deleteAttachment = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await canAccessTask(task, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    const attachment = task.attachments.id(req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    if (!hasPermission(req.user, 'attachment:delete') && refId(attachment.uploadedBy) !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this attachment'
+      });
+    }
+
+    const { key } = attachment;
+    attachment.deleteOne();
+    await task.save();
+
+    await logActivity({
+      req,
+      entityType: 'Task',
+      entityId: task._id,
+      action: 'attachment.delete',
+      metadata: { attachmentId: attachment._id, filename: attachment.filename }
+    });
+    publishTaskEvent('task.updated', task, {
+      actor: req.user,
+      data: { action: 'attachment.delete', attachmentId: attachment._id }
+    });
+
+    if (key) {
+      getStorage().remove(key).catch(err => console.error('Attachment cleanup error:', err));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Attachment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting attachment'
+    });
+  }
+};
@@ -0,0 +1,91 @@
+const ActivityLog = require('../models/ActivityLog');
+const Task = require('../models/Task');
+const { canAccessTask } = require('../utils/taskAccess');
+
+// @desc    Get audit log entries
+// @route   GET /api/audit
+// @access  Private/Admin
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const { actor, entityType, entityId, action, from, to, page = 1, limit = 20 } = req.query;
+
+    // Build query
+    let query = {};
+
+    if (actor) query.actor = actor;
+    if (entityId) query.entityId = entityId;
+    if (entityType) query.entityType = entityType;
+    if (action) query.action = action;
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    // Pagination
+    const skip = (page - 1) * limit;
+
+    const logs = await ActivityLog.find(query)
+      .populate('actor', 'name email role')
+      .skip(skip)
+      .limit(parseInt(limit))
+      .sort({ createdAt: -1 });
+
+    const total = await ActivityLog.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: logs.length,
+      total,
+      pages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      data: logs
+    });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit logs'
+    });
+  }
+};
+
+// @desc    Get task activity history
+// @route   GET /api/tasks/:id/history
+// @access  Private
+exports.getTaskHistory = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await canAccessTask(task, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this task'
+      });
+    }
+
+    const history = await ActivityLog.find({ entityType: 'Task', entityId: task._id })
+      .populate('actor', 'name email role')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: history.length,
+      data: history
+    });
+  } catch (error) {
+    console.error('Get task history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching task history'
+    });
+  }
+};
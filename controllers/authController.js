@@ -1,6 +1,22 @@
 const User = require('../models/User');
 const Employee = require('../models/Employee');
 const { generateToken } = require('../middleware/authMiddleware');
+const { logActivity } = require('../utils/activityLogger');
+const { hasPermission } = require('../utils/permissions');
+const { sendPasswordResetEmail } = require('../utils/emailService');
+const {
+  hashToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens
+} = require('../utils/tokenService');
+
+// Access token plus a server-side refresh token
+const issueTokens = async (user, req) => ({
+  token: generateToken(user._id),
+  refreshToken: await issueRefreshToken(user._id, req)
+});
 
 // @desc    Register a new user
 // @route   POST /api/auth/register
@@ -9,8 +25,8 @@ exports.register = async (req, res) => {
   try {
     const { name, email, password, role, department } = req.body;
 
-    // Check if user already exists
-    const userExists = await User.findOne({ email });
+    // Check if user already exists, including users in the trash
+    const userExists = await User.findOne({ email }).setOptions({ withDeleted: true });
 
     if (userExists) {
       return res.status(400).json({
@@ -20,14 +36,14 @@ exports.register = async (req, res) => {
     }
 
     // Check if this is the first user (will be admin)
-    const userCount = await User.countDocuments();
+    const userCount = await User.countDocuments().setOptions({ withDeleted: true });
     const userRole = userCount === 0 ? 'admin' : (role || 'employee');
 
-    // If not first user and trying to create admin, check authorization
-    if (userCount > 0 && userRole === 'admin' && req.user && req.user.role !== 'admin') {
+    // Only users allowed to manage roles may create non-employee accounts once the first user exists
+    if (userCount > 0 && userRole !== 'employee' && (!req.user || !hasPermission(req.user, 'role:manage'))) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to create admin users'
+        message: `Not authorized to create ${userRole} users`
       });
     }
 
@@ -40,15 +56,34 @@ exports.register = async (req, res) => {
       department
     });
 
-    // If employee, create employee record
+    // If employee, create employee record; the user goes too if that fails
     if (userRole === 'employee') {
-      await Employee.create({
-        user: user._id
-      });
+      try {
+        await Employee.create({
+          user: user._id
+        });
+      } catch (error) {
+        await User.deleteOne({ _id: user._id });
+        throw error;
+      }
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    await logActivity({
+      req,
+      actor: req.user || user,
+      entityType: 'User',
+      entityId: user._id,
+      action: 'register',
+      after: {
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        department: user.department
+      }
+    });
+
+    // Generate tokens
+    const { token, refreshToken } = await issueTokens(user, req);
 
     res.status(201).json({
       success: true,
@@ -61,7 +96,8 @@ exports.register = async (req, res) => {
           role: user.role,
           department: user.department
         },
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -106,6 +142,15 @@ exports.login = async (req, res) => {
       });
     }
 
+    // Invited users have no password until they accept the invitation; the
+    // generic message keeps pending invitations from being probed
+    if (user.invitePending) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
     // Check if password matches
     const isMatch = await user.comparePassword(password);
 
@@ -116,8 +161,8 @@ exports.login = async (req, res) => {
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Generate tokens
+    const { token, refreshToken } = await issueTokens(user, req);
 
     res.status(200).json({
       success: true,
@@ -130,7 +175,8 @@ exports.login = async (req, res) => {
           role: user.role,
           department: user.department
         },
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -151,7 +197,10 @@ exports.getMe = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: user
+      data: {
+        ...user.toJSON(),
+        permissions: req.user.$locals.permissions
+      }
     });
   } catch (error) {
     console.error('Get me error:', error);
@@ -184,12 +233,23 @@ exports.updatePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
-    const token = generateToken(user._id);
+    // Sign out every other session
+    await revokeAllRefreshTokens(user._id);
+
+    await logActivity({
+      req,
+      entityType: 'User',
+      entityId: user._id,
+      action: 'password.update',
+      changes: [{ field: 'password', before: '[REDACTED]', after: '[REDACTED]' }]
+    });
+
+    const { token, refreshToken } = await issueTokens(user, req);
 
     res.status(200).json({
       success: true,
       message: 'Password updated successfully',
-      data: { token }
+      data: { token, refreshToken }
     });
   } catch (error) {
     console.error('Update password error:', error);
@@ -199,3 +259,354 @@ exports.updatePassword = async (req, res) => {
     });
   }
 };
+
+// @desc    Update own name and email language
+// @route   PUT /api/auth/updatedetails
+// @access  Private
+exports.updateDetails = async (req, res) => {
+  try {
+    const { name, locale } = req.body;
+
+    const user = await User.findById(req.user.id);
+    const before = { name: user.name, locale: user.locale };
+
+    if (name !== undefined) user.name = name;
+    if (locale !== undefined) user.locale = locale;
+    await user.save();
+
+    await logActivity({
+      req,
+      entityType: 'User',
+      entityId: user._id,
+      action: 'update',
+      before,
+      after: { name: user.name, locale: user.locale }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Details updated successfully',
+      data: user
+    });
+  } catch (error) {
+    console.error('Update details error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating details'
+    });
+  }
+};
+
+// @desc    Exchange refresh token for new tokens
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a refresh token'
+      });
+    }
+
+    const rotated = await rotateRefreshToken(refreshToken, req);
+
+    if (!rotated) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    const user = await User.findById(rotated.userId);
+
+    if (!user || !user.isActive) {
+      await revokeAllRefreshTokens(rotated.userId);
+      return res.status(401).json({
+        success: false,
+        message: 'User account is inactive'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        token: generateToken(user._id),
+        refreshToken: rotated.refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing token'
+    });
+  }
+};
+
+// @desc    Logout current session
+// @route   POST /api/auth/logout
+// @access  Public
+exports.logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a refresh token'
+      });
+    }
+
+    const userId = await revokeRefreshToken(refreshToken);
+
+    if (userId) {
+      await logActivity({ req, actor: { _id: userId }, entityType: 'User', entityId: userId, action: 'logout' });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out'
+    });
+  }
+};
+
+// @desc    Logout from all devices
+// @route   POST /api/auth/logout-all
+// @access  Private
+exports.logoutAll = async (req, res) => {
+  try {
+    const revoked = await revokeAllRefreshTokens(req.user.id);
+
+    // Also reject access tokens that are still within their lifetime
+    await User.findByIdAndUpdate(req.user.id, { sessionsRevokedAt: Date.now() });
+
+    await logActivity({
+      req,
+      entityType: 'User',
+      entityId: req.user._id,
+      action: 'logout.all',
+      metadata: { revokedSessions: revoked }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out from all devices'
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out from all devices'
+    });
+  }
+};
+
+// @desc    Request password reset email
+// @route   POST /api/auth/forgotpassword
+// @access  Public
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email'
+      });
+    }
+
+    // Same response whether or not the account exists, so emails cannot be probed
+    const response = {
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    };
+
+    const user = await User.findOne({ email: String(email).toLowerCase() });
+
+    if (!user || !user.isActive || user.invitePending) {
+      return res.status(200).json(response);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendPasswordResetEmail(user, {
+        name: user.name,
+        resetUrl: `${process.env.CLIENT_URL}/reset-password/${resetToken}`,
+        expiresInMinutes: parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES, 10) || 30
+      });
+    } catch (error) {
+      // Logged only, an error response would reveal that the account exists
+      console.error('Password reset email error:', error);
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      return res.status(200).json(response);
+    }
+
+    await logActivity({ req, actor: user, entityType: 'User', entityId: user._id, action: 'password.reset_requested' });
+
+    res.status(200).json(response);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting password reset'
+    });
+  }
+};
+
+// @desc    Reset password with emailed token
+// @route   PUT /api/auth/resetpassword/:token
+// @access  Public
+exports.resetPassword = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a new password'
+      });
+    }
+
+    const user = await User.findOne({
+      resetPasswordToken: hashToken(req.params.token),
+      resetPasswordExpire: { $gt: Date.now() }
+    }).select('+password');
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    // Token is single-use
+    user.password = password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save();
+
+    await revokeAllRefreshTokens(user._id);
+
+    await logActivity({
+      req,
+      actor: user,
+      entityType: 'User',
+      entityId: user._id,
+      action: 'password.reset',
+      changes: [{ field: 'password', before: '[REDACTED]', after: '[REDACTED]' }]
+    });
+
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully',
+      data: { token, refreshToken }
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password'
+    });
+  }
+};
+
+// @desc    Accept invitation and set password
+// @route   POST /api/auth/accept-invite/:token
+// @access  Public
+exports.acceptInvite = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a password'
+      });
+    }
+
+    const user = await User.findOne({
+      inviteToken: hashToken(req.params.token),
+      inviteExpire: { $gt: Date.now() },
+      invitePending: true
+    });
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation'
+      });
+    }
+
+    user.password = password;
+    user.invitePending = false;
+    user.inviteToken = undefined;
+    user.inviteExpire = undefined;
+    await user.save();
+
+    await logActivity({ req, actor: user, entityType: 'User', entityId: user._id, action: 'invite.accept' });
+
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation accepted successfully',
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          department: user.department
+        },
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Accept invite error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error accepting invitation'
+    });
+  }
+};
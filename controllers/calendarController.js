@@ -0,0 +1,229 @@
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { hashToken } = require('../utils/tokenService');
+const { getRolePermissions, getScope } = require('../utils/permissions');
+const { buildCalendar } = require('../utils/ical');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// iCalendar PRIORITY runs from 1 (highest) to 9 (lowest)
+const PRIORITY_LEVELS = { urgent: 1, high: 3, medium: 5, low: 9 };
+
+const getApiUrl = (req) => process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+
+const getFeedUrl = (req, token, department) => {
+  const base = `${getApiUrl(req)}/api/calendar/feed/${token}`;
+  return department ? `${base}/departments/${encodeURIComponent(department)}.ics` : `${base}.ics`;
+};
+
+// Deadlines older than CALENDAR_FEED_PAST_DAYS are left out to keep feeds small;
+// cancelled tasks are never listed
+const feedQuery = (query) => {
+  const days = parseInt(process.env.CALENDAR_FEED_PAST_DAYS, 10) || 90;
+
+  return {
+    ...query,
+    status: { $ne: 'cancelled' },
+    deadline: { $gte: new Date(Date.now() - days * DAY_MS) }
+  };
+};
+
+const taskEvent = (task, host, showAssignee) => {
+  const description = [
+    `Priority: ${task.priority}`,
+    `Status: ${task.status}`,
+    showAssignee && task.assignedTo ? `Assignee: ${task.assignedTo.name}` : null,
+    task.project ? `Project: ${task.project.name}` : null,
+    task.description ? `\n${task.description}` : null
+  ].filter(Boolean).join('\n');
+
+  return {
+    uid: `task-${task._id}@${host}`,
+    start: task.deadline,
+    summary: task.title,
+    description,
+    priority: PRIORITY_LEVELS[task.priority],
+    categories: [task.priority, task.status],
+    status: 'CONFIRMED',
+    url: process.env.CLIENT_URL ? `${process.env.CLIENT_URL}/login` : undefined,
+    lastModified: task.updatedAt
+  };
+};
+
+const sendCalendar = async (req, res, { name, query, showAssignee }) => {
+  const tasks = await Task.find(feedQuery(query))
+    .select('title description priority status deadline assignedTo project updatedAt')
+    .populate('assignedTo', 'name')
+    .populate('project', 'name')
+    .sort({ deadline: 1 });
+
+  const host = req.hostname || 'employee-task-manager';
+  const calendar = buildCalendar({
+    name,
+    refreshMinutes: parseInt(process.env.CALENDAR_REFRESH_MINUTES, 10) || 15,
+    events: tasks.map((task) => taskEvent(task, host, showAssignee))
+  });
+
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': 'inline; filename="tasks.ics"',
+    'Cache-Control': 'private, no-cache'
+  });
+  res.status(200).send(calendar);
+};
+
+// Owner of a feed token, or send the error response
+const findFeedOwner = async (req, res) => {
+  const user = await User.findOne({ calendarToken: hashToken(req.params.token), isActive: true });
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'Calendar feed not found'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// @desc    Get calendar subscription status
+// @route   GET /api/calendar/subscription
+// @access  Private
+exports.getSubscription = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+calendarToken');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        active: Boolean(user.calendarToken),
+        createdAt: user.calendarTokenCreatedAt
+      }
+    });
+  } catch (error) {
+    console.error('Get calendar subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching calendar subscription'
+    });
+  }
+};
+
+// @desc    Create or regenerate the calendar subscription URL
+// @route   POST /api/calendar/subscription
+// @access  Private
+exports.createSubscription = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    // Replaces the previous token, so old subscription URLs stop working
+    const token = user.createCalendarToken();
+    await user.save({ validateBeforeSave: false });
+
+    const data = {
+      url: getFeedUrl(req, token),
+      createdAt: user.calendarTokenCreatedAt
+    };
+
+    // Users who see everyone can also subscribe to whole departments
+    if (getScope(req.user) === 'all') {
+      const departments = await User.distinct('department', { isActive: true });
+      data.departments = departments.sort().map((department) => ({
+        department,
+        url: getFeedUrl(req, token, department)
+      }));
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar subscription created. The URL is only shown once, keep it private',
+      data
+    });
+  } catch (error) {
+    console.error('Create calendar subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating calendar subscription'
+    });
+  }
+};
+
+// @desc    Revoke the calendar subscription URL
+// @route   DELETE /api/calendar/subscription
+// @access  Private
+exports.deleteSubscription = async (req, res) => {
+  try {
+    await User.updateOne(
+      { _id: req.user.id },
+      { $unset: { calendarToken: 1, calendarTokenCreatedAt: 1 } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar subscription revoked'
+    });
+  } catch (error) {
+    console.error('Delete calendar subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking calendar subscription'
+    });
+  }
+};
+
+// @desc    ICS feed of the deadlines of the user's tasks
+// @route   GET /api/calendar/feed/:token.ics
+// @access  Public (feed token)
+exports.getFeed = async (req, res) => {
+  try {
+    const user = await findFeedOwner(req, res);
+    if (!user) return;
+
+    await sendCalendar(req, res, {
+      name: `Tasks - ${user.name}`,
+      query: { assignedTo: user._id }
+    });
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating calendar feed'
+    });
+  }
+};
+
+// @desc    ICS feed of the task deadlines of a department
+// @route   GET /api/calendar/feed/:token/departments/:department.ics
+// @access  Public (feed token of an admin)
+exports.getDepartmentFeed = async (req, res) => {
+  try {
+    const user = await findFeedOwner(req, res);
+    if (!user) return;
+
+    // The token stands in for the login here, so the role is checked on every fetch
+    user.$locals.permissions = await getRolePermissions(user.role);
+
+    if (getScope(user) !== 'all') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view department calendars'
+      });
+    }
+
+    const { department } = req.params;
+    const members = await User.find({ department }).distinct('_id');
+
+    await sendCalendar(req, res, {
+      name: `Tasks - ${department}`,
+      query: { assignedTo: { $in: members } },
+      showAssignee: true
+    });
+  } catch (error) {
+    console.error('Department calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating calendar feed'
+    });
+  }
+};
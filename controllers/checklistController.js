@@ -0,0 +1,187 @@
+const Task = require('../models/Task');
+const { canAccessTask } = require('../utils/taskAccess');
+const { logActivity } = require('../utils/activityLogger');
+const { refreshProgress } = require('../utils/taskProgress');
+const { publishTaskEvent } = require('../utils/eventBus');
+
+// Load a task the current user may work on, or send the error response
+const findAccessibleTask = async (req, res) => {
+  const task = await Task.findById(req.params.id);
+
+  if (!task) {
+    res.status(404).json({
+      success: false,
+      message: 'Task not found'
+    });
+    return null;
+  }
+
+  if (!(await canAccessTask(task, req.user))) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to update this task'
+    });
+    return null;
+  }
+
+  return task;
+};
+
+// Let subscribers know about the change, with the recalculated progress
+const publishChecklistChange = async (req, taskId, action, itemId) => {
+  const task = await Task.findById(taskId);
+  if (task) publishTaskEvent('task.updated', task, { actor: req.user, data: { action, itemId } });
+};
+
+// Checklist with the task's recalculated progress
+const sendChecklist = async (res, status, message, taskId) => {
+  const task = await Task.findById(taskId)
+    .select('checklist progress')
+    .populate('checklist.doneBy', 'name email');
+
+  res.status(status).json({
+    success: true,
+    message,
+    data: {
+      progress: task.progress,
+      checklist: task.checklist
+    }
+  });
+};
+
+// @desc    Add checklist item
+// @route   POST /api/tasks/:id/checklist
+// @access  Private
+exports.addChecklistItem = async (req, res) => {
+  try {
+    const { text } = req.body;
+
+    if (!text || !String(text).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide checklist item text'
+      });
+    }
+
+    const task = await findAccessibleTask(req, res);
+    if (!task) return;
+
+    task.checklist.push({ text });
+    await task.save();
+
+    const item = task.checklist[task.checklist.length - 1];
+    await refreshProgress(task._id);
+
+    await logActivity({
+      req,
+      entityType: 'Task',
+      entityId: task._id,
+      action: 'checklist.add',
+      metadata: { itemId: item._id, text: item.text }
+    });
+    await publishChecklistChange(req, task._id, 'checklist.add', item._id);
+
+    await sendChecklist(res, 201, 'Checklist item added successfully', task._id);
+  } catch (error) {
+    console.error('Add checklist item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding checklist item'
+    });
+  }
+};
+
+// @desc    Update or tick checklist item
+// @route   PUT /api/tasks/:id/checklist/:itemId
+// @access  Private
+exports.updateChecklistItem = async (req, res) => {
+  try {
+    const { text, done } = req.body;
+
+    const task = await findAccessibleTask(req, res);
+    if (!task) return;
+
+    const item = task.checklist.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checklist item not found'
+      });
+    }
+
+    const before = { text: item.text, done: item.done };
+
+    if (text !== undefined) {
+      item.text = text;
+    }
+
+    if (done !== undefined && Boolean(done) !== item.done) {
+      item.done = Boolean(done);
+      item.doneBy = item.done ? req.user.id : undefined;
+      item.doneAt = item.done ? Date.now() : undefined;
+    }
+
+    await task.save();
+    await refreshProgress(task._id);
+
+    await logActivity({
+      req,
+      entityType: 'Task',
+      entityId: task._id,
+      action: 'checklist.update',
+      before,
+      after: { text: item.text, done: item.done },
+      metadata: { itemId: item._id }
+    });
+    await publishChecklistChange(req, task._id, 'checklist.update', item._id);
+
+    await sendChecklist(res, 200, 'Checklist item updated successfully', task._id);
+  } catch (error) {
+    console.error('Update checklist item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating checklist item'
+    });
+  }
+};
+
+// @desc    Delete checklist item
+// @route   DELETE /api/tasks/:id/checklist/:itemId
+// @access  Private
+exports.deleteChecklistItem = async (req, res) => {
+  try {
+    const task = await findAccessibleTask(req, res);
+    if (!task) return;
+
+    const item = task.checklist.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checklist item not found'
+      });
+    }
+
+    item.deleteOne();
+    await task.save();
+    await refreshProgress(task._id);
+
+    await logActivity({
+      req,
+      entityType: 'Task',
+      entityId: task._id,
+      action: 'checklist.delete',
+      metadata: { itemId: item._id, text: item.text }
+    });
+    await publishChecklistChange(req, task._id, 'checklist.delete', item._id);
+
+    await sendChecklist(res, 200, 'Checklist item deleted successfully', task._id);
+  } catch (error) {
+    console.error('Delete checklist item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting checklist item'
+    });
+  }
+};
@@ -0,0 +1,231 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const { canAccessTask, taskScopeQuery, withAssignee } = require('../utils/taskAccess');
+const { logActivity } = require('../utils/activityLogger');
+const { getScope } = require('../utils/permissions');
+const { publishTaskEvent } = require('../utils/eventBus');
+const {
+  refreshBlocked,
+  wouldCreateDependencyCycle,
+  buildDependencyGraph
+} = require('../utils/taskDependencies');
+
+// @desc    Get task blockers and dependents
+// @route   GET /api/tasks/:id/dependencies
+// @access  Private
+exports.getDependencies = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id)
+      .populate('dependsOn', 'title status priority deadline assignedTo');
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await canAccessTask(task, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this task'
+      });
+    }
+
+    const dependents = await Task.find({ dependsOn: task._id })
+      .select('title status priority deadline assignedTo blocked');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        blocked: task.blocked,
+        dependsOn: task.dependsOn,
+        dependents
+      }
+    });
+  } catch (error) {
+    console.error('Get dependencies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching dependencies'
+    });
+  }
+};
+
+// @desc    Add dependency (task cannot start until the other is done)
+// @route   POST /api/tasks/:id/dependencies
+// @access  Private/Admin/Manager
+exports.addDependency = async (req, res) => {
+  try {
+    const { dependsOn } = req.body;
+
+    if (!dependsOn || !mongoose.isValidObjectId(dependsOn)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid task ID to depend on'
+      });
+    }
+
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const blocker = await Task.findById(dependsOn);
+
+    if (!blocker) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dependency task not found'
+      });
+    }
+
+    if (!(await canAccessTask(task, req.user)) || !(await canAccessTask(blocker, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to link these tasks'
+      });
+    }
+
+    if (task.dependsOn.some((id) => id.equals(blocker._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dependency already exists'
+      });
+    }
+
+    if (await wouldCreateDependencyCycle(task._id, blocker._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Dependency would create a cycle'
+      });
+    }
+
+    await Task.updateOne({ _id: task._id }, { $addToSet: { dependsOn: blocker._id } });
+    const blocked = await refreshBlocked(task._id);
+
+    await logActivity({
+      req,
+      entityType: 'Task',
+      entityId: task._id,
+      action: 'dependency.add',
+      metadata: { dependsOn: blocker._id, title: blocker.title }
+    });
+
+    task.blocked = blocked;
+    publishTaskEvent('task.updated', task, {
+      actor: req.user,
+      data: { action: 'dependency.add', dependsOn: blocker._id }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Dependency added successfully',
+      data: { blocked }
+    });
+  } catch (error) {
+    console.error('Add dependency error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding dependency'
+    });
+  }
+};
+
+// @desc    Remove dependency
+// @route   DELETE /api/tasks/:id/dependencies/:dependencyId
+// @access  Private/Admin/Manager
+exports.removeDependency = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await canAccessTask(task, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    if (!task.dependsOn.some((id) => id.toString() === req.params.dependencyId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dependency not found'
+      });
+    }
+
+    await Task.updateOne({ _id: task._id }, { $pull: { dependsOn: req.params.dependencyId } });
+    const blocked = await refreshBlocked(task._id);
+
+    await logActivity({
+      req,
+      entityType: 'Task',
+      entityId: task._id,
+      action: 'dependency.remove',
+      metadata: { dependsOn: req.params.dependencyId }
+    });
+
+    task.blocked = blocked;
+    publishTaskEvent('task.updated', task, {
+      actor: req.user,
+      data: { action: 'dependency.remove', dependsOn: req.params.dependencyId }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Dependency removed successfully',
+      data: { blocked }
+    });
+  } catch (error) {
+    console.error('Remove dependency error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing dependency'
+    });
+  }
+};
+
+// @desc    Get dependency graph for a project or assignee
+// @route   GET /api/tasks/dependencies/graph
+// @access  Private
+exports.getDependencyGraph = async (req, res) => {
+  try {
+    const { assignee, project } = req.query;
+
+    if (!assignee && !project && getScope(req.user) !== 'own') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a project or an assignee'
+      });
+    }
+
+    // Employees only see the graph around their own tasks, managers around their department or team
+    let query = await taskScopeQuery(req.user);
+
+    if (assignee) query = withAssignee(query, assignee);
+    if (project) query.project = project;
+
+    const graph = await buildDependencyGraph(query);
+
+    res.status(200).json({
+      success: true,
+      data: graph
+    });
+  } catch (error) {
+    console.error('Get dependency graph error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching dependency graph'
+    });
+  }
+};
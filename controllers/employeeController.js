@@ -1,27 +1,139 @@
 const User = require('../models/User');
+const Role = require('../models/Role');
 const Employee = require('../models/Employee');
 const Task = require('../models/Task');
+const TaskTemplate = require('../models/TaskTemplate');
+const { logActivity } = require('../utils/activityLogger');
+const { buildEmployeeFilter } = require('../utils/listFilters');
+const { staffScopeQuery, canAccessUser, canManageUser } = require('../utils/taskAccess');
+const { pickDefined } = require('../utils/writePolicies');
+const { countOpenTasks, findNewAssignee, transferOpenTasks } = require('../utils/taskTransfer');
+const { getScope, rolesWithPermission } = require('../utils/permissions');
+const { isUserReferenced } = require('../utils/trashPurgeScheduler');
+const { revokeAllRefreshTokens } = require('../utils/tokenService');
+const { sendInviteEmail } = require('../utils/emailService');
+
+// Editable fields stored on the user and on the employee record
+const USER_FIELDS = ['name', 'email', 'department', 'locale', 'isActive', 'role'];
+const EMPLOYEE_FIELDS = ['position', 'phone', 'skills'];
+
+// Flatten the user and employee records into one snapshot for the audit trail
+const employeeSnapshot = (user, employee) => ({
+  name: user?.name,
+  email: user?.email,
+  role: user?.role,
+  department: user?.department,
+  isActive: user?.isActive,
+  employeeId: employee?.employeeId,
+  position: employee?.position,
+  phone: employee?.phone,
+  skills: employee?.skills ? [...employee.skills] : undefined,
+  invitePending: user?.invitePending
+});
+
+// Load the user in :id if the requester may change or remove them, managers
+// only those of their department or team. Returns null once an error was sent.
+const findManageableUser = async (req, res, action) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'Employee not found'
+    });
+    return null;
+  }
+
+  if (!(await canManageUser(req.user, user))) {
+    res.status(403).json({
+      success: false,
+      message: `Not authorized to ${action} this employee`
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// Issue a fresh invite token and email it to the invited user
+const sendInvite = async (user, invitedBy) => {
+  const inviteToken = user.createInviteToken();
+  await user.save({ validateBeforeSave: false });
+
+  return sendInviteEmail(user, {
+    name: user.name,
+    invitedBy: invitedBy.name,
+    department: user.department,
+    inviteUrl: `${process.env.CLIENT_URL}/accept-invite/${inviteToken}`,
+    expiresInHours: parseInt(process.env.INVITE_EXPIRE_HOURS, 10) || 72
+  });
+};
+
+// Move the open tasks of a leaving user to the employee in ?transferTo=, required
+// when there are any. Returns the moved tasks, or null once an error was sent.
+const handOverOpenTasks = async (req, res, user) => {
+  const { transferTo } = req.query;
+  const openTasks = await countOpenTasks(user._id);
+
+  if (!openTasks) return [];
+
+  if (!transferTo) {
+    res.status(409).json({
+      success: false,
+      message: `Employee has ${openTasks} open task(s), choose an employee to transfer them to with ?transferTo=`,
+      openTasks
+    });
+    return null;
+  }
+
+  if (String(transferTo) === String(user._id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Cannot transfer tasks to the employee being removed'
+    });
+    return null;
+  }
+
+  const { assignee, error } = await findNewAssignee(req.user, transferTo);
+
+  if (error) {
+    res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+    return null;
+  }
+
+  // The leaving user is not notified about each task
+  return transferOpenTasks(user._id, assignee, {
+    req,
+    actor: req.user,
+    reason: 'Offboarding',
+    notifyPrevious: false
+  });
+};
+
+// Keep the recurring templates of a leaving user running without them: the
+// requester takes over the ones they created, the ones assigned to them are
+// paused until an admin assigns them to someone else
+const handOverTemplates = async (req, user) => {
+  const created = await TaskTemplate.updateMany({ createdBy: user._id }, { createdBy: req.user._id });
+  const paused = await TaskTemplate.updateMany(
+    { assignedTo: user._id, isPaused: false },
+    { isPaused: true, $unset: { nextRunAt: 1 } }
+  );
+
+  return { takenOver: created.modifiedCount, paused: paused.modifiedCount };
+};
 
 // @desc    Get all employees
 // @route   GET /api/employees
-// @access  Private/Admin
+// @access  Private/Admin/Manager
 exports.getAllEmployees = async (req, res) => {
   try {
-    const { search, department, page = 1, limit = 10 } = req.query;
+    const { page = 1, limit = 10 } = req.query;
 
-    // Build query
-    let query = { role: 'employee' };
-
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } }
-      ];
-    }
-
-    if (department) {
-      query.department = department;
-    }
+    const query = await buildEmployeeFilter(req.user, req.query);
 
     // Pagination
     const skip = (page - 1) * limit;
@@ -85,6 +197,14 @@ exports.getEmployee = async (req, res) => {
       });
     }
 
+    // Employees see their own profile, managers their department or team
+    if (!(await canAccessUser(req.user, user._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this employee'
+      });
+    }
+
     const employee = await Employee.findOne({ user: user._id });
     const tasks = await Task.find({ assignedTo: user._id })
       .populate('assignedBy', 'name email')
@@ -107,43 +227,65 @@ exports.getEmployee = async (req, res) => {
   }
 };
 
-// @desc    Create employee
+// @desc    Create employee and send them an invitation
 // @route   POST /api/employees
 // @access  Private/Admin
 exports.createEmployee = async (req, res) => {
   try {
-    const { name, email, password, department, position, phone, skills } = req.body;
+    const { name, email, department, locale, position, phone, skills } = req.body;
 
-    // Check if user already exists
-    const userExists = await User.findOne({ email });
+    // Check if user already exists, including users in the trash
+    const userExists = await User.findOne({ email }).setOptions({ withDeleted: true });
 
     if (userExists) {
       return res.status(400).json({
         success: false,
-        message: 'User already exists with this email'
+        message: userExists.deletedAt
+          ? 'A deleted user with this email is in the trash, restore them instead'
+          : 'User already exists with this email'
       });
     }
 
-    // Create user
+    // Create pending user, the employee sets a password when accepting the invite
     const user = await User.create({
       name,
       email,
-      password,
       role: 'employee',
-      department
+      department,
+      locale,
+      invitePending: true,
+      invitedBy: req.user.id
     });
 
-    // Create employee record
-    const employee = await Employee.create({
-      user: user._id,
-      position,
-      phone,
-      skills: skills || []
+    // Create employee record; without one the pending user would block the email for good
+    let employee;
+    try {
+      employee = await Employee.create({
+        user: user._id,
+        position,
+        phone,
+        skills: skills || []
+      });
+    } catch (error) {
+      await User.deleteOne({ _id: user._id });
+      throw error;
+    }
+
+    await logActivity({
+      req,
+      entityType: 'Employee',
+      entityId: user._id,
+      action: 'create',
+      after: employeeSnapshot(user, employee)
     });
 
+    // Send invitation (async, don't wait)
+    sendInvite(user, req.user)
+      .catch(err => console.error('Invite email error:', err));
+
     res.status(201).json({
       success: true,
-      message: 'Employee created successfully',
+      message: 'Employee invited successfully',
       data: {
         ...user.toJSON(),
         employeeId: employee.employeeId,
@@ -164,31 +306,75 @@ exports.createEmployee = async (req, res) => {
 // @access  Private/Admin
 exports.updateEmployee = async (req, res) => {
   try {
-    const { name, email, department, position, phone, skills, isActive } = req.body;
+    // Only the fields that were sent; which ones the role may write was checked by authorizeFields
+    const userUpdate = pickDefined(req.body, USER_FIELDS);
+    const employeeUpdate = pickDefined(req.body, EMPLOYEE_FIELDS);
+    const { role } = userUpdate;
+
+    let user = await findManageableUser(req, res, 'update');
+    if (!user) return;
+
+    // Admins promote employees to managers (or any other role) here
+    if (role !== undefined) {
+      if (!(await Role.exists({ name: role }))) {
+        return res.status(400).json({
+          success: false,
+          message: `Role '${role}' does not exist`
+        });
+      }
+
+      // Nobody hands out more reach than they have
+      if (getScope(req.user) !== 'all' && (await rolesWithPermission('scope:all')).includes(role)) {
+        return res.status(403).json({
+          success: false,
+          message: `Not authorized to assign the role '${role}'`
+        });
+      }
+    }
 
-    let user = await User.findById(req.params.id);
+    // Emails identify accounts, so a new one must not belong to someone else
+    if (userUpdate.email !== undefined) {
+      const taken = await User.exists({ email: String(userUpdate.email).toLowerCase(), _id: { $ne: user._id } })
+        .setOptions({ withDeleted: true });
 
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'Employee not found'
-      });
+      if (taken) {
+        return res.status(400).json({
+          success: false,
+          message: 'User already exists with this email'
+        });
+      }
     }
 
+    const before = employeeSnapshot(user, await Employee.findOne({ user: req.params.id }));
+
     // Update user
     user = await User.findByIdAndUpdate(
       req.params.id,
-      { name, email, department, isActive },
+      userUpdate,
       { new: true, runValidators: true }
     ).select('-password');
 
     // Update employee record
-    await Employee.findOneAndUpdate(
+    const employee = await Employee.findOneAndUpdate(
       { user: req.params.id },
-      { position, phone, skills },
+      employeeUpdate,
       { new: true, runValidators: true }
     );
 
+    // End all sessions of a deactivated employee
+    if (before.isActive && !user.isActive) {
+      await revokeAllRefreshTokens(user._id);
+    }
+
+    await logActivity({
+      req,
+      entityType: 'Employee',
+      entityId: user._id,
+      action: 'update',
+      before,
+      after: employeeSnapshot(user, employee)
+    });
+
     res.status(200).json({
       success: true,
       message: 'Employee updated successfully',
@@ -196,6 +382,14 @@ exports.updateEmployee = async (req, res) => {
     });
   } catch (error) {
     console.error('Update employee error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Error updating employee'
@@ -203,56 +397,167 @@ exports.updateEmployee = async (req, res) => {
   }
 };
 
-// @desc    Delete employee
-// @route   DELETE /api/employees/:id
+// @desc    Delete employee (moves them to the trash), handing their open tasks to another employee
+// @route   DELETE /api/employees/:id?transferTo=:userId
 // @access  Private/Admin
 exports.deleteEmployee = async (req, res) => {
   try {
-    const user = await User.findById(req.params.id);
+    const user = await findManageableUser(req, res, 'delete');
+    if (!user) return;
 
-    if (!user) {
-      return res.status(404).json({
+    const transferred = await handOverOpenTasks(req, res, user);
+    if (!transferred) return;
+
+    const templates = await handOverTemplates(req, user);
+
+    // Move the user to the trash and end their sessions; the employee record is kept until the purge
+    await User.updateOne(
+      { _id: user._id },
+      { deletedAt: new Date(), deletedBy: req.user._id }
+    );
+    await revokeAllRefreshTokens(user._id);
+
+    const employee = await Employee.findOne({ user: user._id });
+
+    await logActivity({
+      req,
+      entityType: 'Employee',
+      entityId: user._id,
+      action: 'delete',
+      before: employeeSnapshot(user, employee),
+      metadata: {
+        ...(transferred.length && { transferredTasks: transferred.length, transferTo: req.query.transferTo }),
+        templates
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Employee moved to the trash',
+      data: { transferredTasks: transferred.length, templates }
+    });
+  } catch (error) {
+    console.error('Delete employee error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting employee'
+    });
+  }
+};
+
+// @desc    Resend employee invitation
+// @route   POST /api/employees/:id/invite
+// @access  Private/Admin
+exports.resendInvite = async (req, res) => {
+  try {
+    const user = await findManageableUser(req, res, 'invite');
+    if (!user) return;
+
+    if (!user.invitePending) {
+      return res.status(400).json({
         success: false,
-        message: 'Employee not found'
+        message: 'Employee has already accepted the invitation'
       });
     }
 
-    // Delete employee record
-    await Employee.findOneAndDelete({ user: req.params.id });
+    // A new token invalidates the previous link
+    await sendInvite(user, req.user);
 
-    // Delete user
-    await User.findByIdAndDelete(req.params.id);
+    await logActivity({ req, entityType: 'Employee', entityId: user._id, action: 'invite.resend' });
 
-    // Optionally: Reassign or delete tasks
-    await Task.updateMany(
-      { assignedTo: req.params.id },
-      { status: 'cancelled' }
-    );
+    res.status(200).json({
+      success: true,
+      message: 'Invitation resent successfully'
+    });
+  } catch (error) {
+    console.error('Resend invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resending invitation'
+    });
+  }
+};
+
+// @desc    Revoke pending employee invitation
+// @route   DELETE /api/employees/:id/invite?transferTo=:userId
+// @access  Private/Admin
+exports.revokeInvite = async (req, res) => {
+  try {
+    const user = await findManageableUser(req, res, 'revoke the invitation of');
+    if (!user) return;
+
+    if (!user.invitePending) {
+      return res.status(400).json({
+        success: false,
+        message: 'Employee has already accepted the invitation'
+      });
+    }
+
+    // Same handling as deleteEmployee for tasks already assigned to the invitee
+    const transferred = await handOverOpenTasks(req, res, user);
+    if (!transferred) return;
+
+    const templates = await handOverTemplates(req, user);
+
+    // Invitees that closed tasks, time entries or reviews still refer to are
+    // moved to the trash instead, so those records keep their user
+    const referenced = await isUserReferenced(user._id);
+    let employee;
+
+    if (referenced) {
+      employee = await Employee.findOne({ user: user._id });
+      await User.updateOne(
+        { _id: user._id },
+        { deletedAt: new Date(), deletedBy: req.user._id, $unset: { inviteToken: 1, inviteExpire: 1 } }
+      );
+    } else {
+      employee = await Employee.findOneAndDelete({ user: user._id });
+      await User.findByIdAndDelete(user._id);
+    }
+
+    await logActivity({
+      req,
+      entityType: 'Employee',
+      entityId: user._id,
+      action: 'invite.revoke',
+      before: employeeSnapshot(user, employee),
+      metadata: {
+        ...(transferred.length && { transferredTasks: transferred.length, transferTo: req.query.transferTo }),
+        templates,
+        trashed: referenced
+      }
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Employee deleted successfully'
+      message: referenced
+        ? 'Invitation revoked, the invitee was moved to the trash as other records refer to them'
+        : 'Invitation revoked successfully',
+      data: { transferredTasks: transferred.length, templates }
     });
   } catch (error) {
-    console.error('Delete employee error:', error);
+    console.error('Revoke invite error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error deleting employee'
+      message: 'Error revoking invitation'
     });
   }
 };
 
 // @desc    Get employee statistics
 // @route   GET /api/employees/stats/overview
-// @access  Private/Admin
+// @access  Private/Admin/Manager
 exports.getEmployeeStats = async (req, res) => {
   try {
-    const totalEmployees = await User.countDocuments({ role: 'employee' });
-    const activeEmployees = await User.countDocuments({ role: 'employee', isActive: true });
+    // Managers only see their department or team
+    const query = await staffScopeQuery(req.user);
+
+    const totalEmployees = await User.countDocuments(query);
+    const activeEmployees = await User.countDocuments({ ...query, isActive: true });
     
     // Get department distribution
     const departmentStats = await User.aggregate([
-      { $match: { role: 'employee' } },
+      { $match: query },
       { $group: { _id: '$department', count: { $sum: 1 } } },
       { $sort: { count: -1 } }
     ]);
@@ -0,0 +1,58 @@
+const { canAccessTask } = require('../utils/taskAccess');
+const { subscribeTaskEvents } = require('../utils/eventBus');
+
+// Largest delay setTimeout accepts
+const MAX_TIMEOUT_MS = 2147483647;
+
+// Task events go to the assignee (also the previous one after a reassignment),
+// the assigner and anyone else allowed to see the task
+const canReceive = async (event, user) => {
+  const userId = String(user.id);
+  const previousAssignee = event.data && event.data.previousAssignedTo;
+
+  if ([event.task.assignedTo, event.task.assignedBy, previousAssignee].includes(userId)) return true;
+  return canAccessTask(event.task, user);
+};
+
+// @desc    Stream task events (Server-Sent Events)
+// @route   GET /api/events/stream
+// @access  Private
+exports.streamEvents = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const retryMs = (parseInt(process.env.SSE_RETRY_SECONDS, 10) || 5) * 1000;
+  res.write(`retry: ${retryMs}\n`);
+  res.write(`event: connected\ndata: ${JSON.stringify({ userId: req.user.id })}\n\n`);
+
+  const unsubscribe = subscribeTaskEvents(async (event) => {
+    try {
+      if (!(await canReceive(event, req.user))) return;
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    } catch (error) {
+      console.error('Event stream error:', error);
+    }
+  });
+
+  // Comment lines keep proxies from closing an idle connection
+  const heartbeatSeconds = parseInt(process.env.SSE_HEARTBEAT_SECONDS, 10) || 25;
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatSeconds * 1000);
+
+  // End the stream when the access token expires; the client reconnects with a fresh one
+  const expiresIn = req.tokenExpiresAt ? req.tokenExpiresAt * 1000 - Date.now() : null;
+  const expiry = expiresIn ? setTimeout(() => {
+    res.write('event: token-expired\ndata: {}\n\n');
+    res.end();
+  }, Math.min(Math.max(expiresIn, 0), MAX_TIMEOUT_MS)) : null;
+
+  res.on('close', () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    if (expiry) clearTimeout(expiry);
+  });
+};
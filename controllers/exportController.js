@@ -0,0 +1,143 @@
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Employee = require('../models/Employee');
+const { buildTaskFilter, buildEmployeeFilter } = require('../utils/listFilters');
+const { EXPORT_FORMATS, selectColumns, streamExport } = require('../utils/exporter');
+
+const name = (user) => (user ? user.name : null);
+
+const TASK_COLUMNS = [
+  { key: 'id', header: 'ID', value: (task) => task._id, width: 26 },
+  { key: 'title', header: 'Title', value: (task) => task.title, width: 40 },
+  { key: 'description', header: 'Description', value: (task) => task.description, width: 60 },
+  { key: 'status', header: 'Status', value: (task) => task.status },
+  { key: 'priority', header: 'Priority', value: (task) => task.priority },
+  { key: 'assignee', header: 'Assignee', value: (task) => name(task.assignedTo) },
+  { key: 'assigneeEmail', header: 'Assignee Email', value: (task) => task.assignedTo && task.assignedTo.email, width: 30 },
+  { key: 'department', header: 'Department', value: (task) => task.assignedTo && task.assignedTo.department },
+  { key: 'assignedBy', header: 'Assigned By', value: (task) => name(task.assignedBy) },
+  { key: 'project', header: 'Project', value: (task) => task.project && task.project.name },
+  { key: 'deadline', header: 'Deadline', value: (task) => task.deadline },
+  { key: 'startDate', header: 'Start Date', value: (task) => task.startDate },
+  { key: 'completedDate', header: 'Completed Date', value: (task) => task.completedDate },
+  { key: 'progress', header: 'Progress (%)', value: (task) => task.progress },
+  { key: 'estimatedHours', header: 'Estimated Hours', value: (task) => task.estimatedHours },
+  { key: 'blocked', header: 'Blocked', value: (task) => (task.blocked ? 'yes' : 'no') },
+  { key: 'tags', header: 'Tags', value: (task) => task.tags },
+  { key: 'createdAt', header: 'Created At', value: (task) => task.createdAt }
+];
+
+const DEFAULT_TASK_COLUMNS = ['title', 'status', 'priority', 'assignee', 'project', 'deadline', 'progress'];
+
+const EMPLOYEE_COLUMNS = [
+  { key: 'id', header: 'ID', value: (row) => row.user._id, width: 26 },
+  { key: 'employeeId', header: 'Employee ID', value: (row) => row.employee && row.employee.employeeId },
+  { key: 'name', header: 'Name', value: (row) => row.user.name, width: 30 },
+  { key: 'email', header: 'Email', value: (row) => row.user.email, width: 30 },
+  { key: 'role', header: 'Role', value: (row) => row.user.role },
+  { key: 'department', header: 'Department', value: (row) => row.user.department },
+  { key: 'position', header: 'Position', value: (row) => row.employee && row.employee.position },
+  { key: 'phone', header: 'Phone', value: (row) => row.employee && row.employee.phone },
+  { key: 'skills', header: 'Skills', value: (row) => row.employee && row.employee.skills, width: 40 },
+  { key: 'rating', header: 'Rating', value: (row) => row.employee && row.employee.performance.rating },
+  { key: 'joinDate', header: 'Join Date', value: (row) => row.user.joinDate },
+  { key: 'isActive', header: 'Active', value: (row) => (row.user.isActive ? 'yes' : 'no') },
+  { key: 'invitePending', header: 'Invite Pending', value: (row) => (row.user.invitePending ? 'yes' : 'no') },
+  { key: 'taskCount', header: 'Tasks', value: (row) => row.taskCount },
+  { key: 'completedTasks', header: 'Completed Tasks', value: (row) => row.completedTasks }
+];
+
+const DEFAULT_EMPLOYEE_COLUMNS = ['employeeId', 'name', 'email', 'department', 'position', 'taskCount', 'completedTasks'];
+
+// Format and columns from the query, or send the error response
+const getExportOptions = (req, res, available, defaults) => {
+  const format = req.query.format || 'csv';
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    res.status(400).json({
+      success: false,
+      message: `Unsupported export format '${format}'. Use: ${EXPORT_FORMATS.join(', ')}`
+    });
+    return null;
+  }
+
+  const { columns, error } = selectColumns(available, req.query.columns, defaults);
+
+  if (error) {
+    res.status(400).json({
+      success: false,
+      message: error
+    });
+    return null;
+  }
+
+  return { format, columns };
+};
+
+// Headers are already sent once streaming starts, so a failure can only cut the download short
+const handleStreamError = (res, error, message) => {
+  if (res.headersSent) return res.destroy(error);
+
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+// @desc    Export tasks as CSV or XLSX
+// @route   GET /api/tasks/export
+// @access  Private/Admin/Manager
+exports.exportTasks = async (req, res) => {
+  try {
+    const options = getExportOptions(req, res, TASK_COLUMNS, DEFAULT_TASK_COLUMNS);
+    if (!options) return;
+
+    const query = await buildTaskFilter(req.user, req.query);
+
+    const cursor = Task.find(query)
+      .select('-comments -attachments -checklist -reminders')
+      .populate('assignedTo', 'name email department')
+      .populate('assignedBy', 'name')
+      .populate('project', 'name')
+      .sort({ createdAt: -1 })
+      .cursor();
+
+    await streamExport(res, { ...options, cursor, filename: 'tasks' });
+  } catch (error) {
+    console.error('Export tasks error:', error);
+    handleStreamError(res, error, 'Error exporting tasks');
+  }
+};
+
+// @desc    Export employees as CSV or XLSX
+// @route   GET /api/employees/export
+// @access  Private/Admin/Manager
+exports.exportEmployees = async (req, res) => {
+  try {
+    const options = getExportOptions(req, res, EMPLOYEE_COLUMNS, DEFAULT_EMPLOYEE_COLUMNS);
+    if (!options) return;
+
+    const query = await buildEmployeeFilter(req.user, req.query);
+    const keys = options.columns.map((column) => column.key);
+
+    const cursor = User.find(query)
+      .select('-password')
+      .sort({ createdAt: -1 })
+      .cursor();
+
+    // Employee details for every row; task counts only when those columns are selected
+    const load = async (user) => ({
+      user,
+      employee: await Employee.findOne({ user: user._id }).select('employeeId position phone skills performance.rating'),
+      taskCount: keys.includes('taskCount') ? await Task.countDocuments({ assignedTo: user._id }) : undefined,
+      completedTasks: keys.includes('completedTasks')
+        ? await Task.countDocuments({ assignedTo: user._id, status: 'completed' })
+        : undefined
+    });
+
+    await streamExport(res, { ...options, cursor, load, filename: 'employees' });
+  } catch (error) {
+    console.error('Export employees error:', error);
+    handleStreamError(res, error, 'Error exporting employees');
+  }
+};
@@ -0,0 +1,220 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { PREFERENCE_BY_TYPE } = require('../utils/notificationService');
+
+const PREFERENCE_KEYS = [...new Set(Object.values(PREFERENCE_BY_TYPE))];
+const DIGEST_KEYS = ['frequency', 'hour', 'dayOfWeek', 'teamSummary'];
+
+// @desc    Get current user's notifications
+// @route   GET /api/notifications
+// @access  Private
+exports.getNotifications = async (req, res) => {
+  try {
+    const { unread, type, page = 1, limit = 20 } = req.query;
+
+    let query = { user: req.user.id };
+
+    if (unread === 'true') query.read = false;
+    if (type) query.type = type;
+
+    const notifications = await Notification.find(query)
+      .populate('actor', 'name email')
+      .populate('task', 'title status deadline')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const count = await Notification.countDocuments(query);
+    const unreadCount = await Notification.countDocuments({ user: req.user.id, read: false });
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      total: count,
+      unreadCount,
+      pages: Math.ceil(count / limit),
+      currentPage: parseInt(page),
+      data: notifications
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching notifications'
+    });
+  }
+};
+
+// @desc    Mark notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+exports.markAsRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      { read: true, readAt: Date.now() },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification marked as read',
+      data: notification
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating notification'
+    });
+  }
+};
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+exports.markAllAsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user.id, read: false },
+      { read: true, readAt: Date.now() }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: { updated: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating notifications'
+    });
+  }
+};
+
+// @desc    Get notification preferences
+// @route   GET /api/notifications/preferences
+// @access  Private
+exports.getPreferences = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: req.user.notificationPreferences
+  });
+};
+
+// @desc    Update notification preferences
+// @route   PUT /api/notifications/preferences
+// @access  Private
+exports.updatePreferences = async (req, res) => {
+  try {
+    const update = {};
+
+    for (const key of Object.keys(req.body)) {
+      if (!PREFERENCE_KEYS.includes(key)) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown notification preference '${key}'. Use: ${PREFERENCE_KEYS.join(', ')}`
+        });
+      }
+
+      update[`notificationPreferences.${key}`] = req.body[key];
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      update,
+      { new: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification preferences updated successfully',
+      data: user.notificationPreferences
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating notification preferences'
+    });
+  }
+};
+
+// @desc    Get digest email preferences
+// @route   GET /api/notifications/digest
+// @access  Private
+exports.getDigestPreferences = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: req.user.digestPreferences
+  });
+};
+
+// @desc    Update digest email preferences
+// @route   PUT /api/notifications/digest
+// @access  Private
+exports.updateDigestPreferences = async (req, res) => {
+  try {
+    const update = {};
+
+    for (const key of Object.keys(req.body)) {
+      if (!DIGEST_KEYS.includes(key)) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown digest preference '${key}'. Use: ${DIGEST_KEYS.join(', ')}`
+        });
+      }
+
+      update[`digestPreferences.${key}`] = req.body[key];
+    }
+
+    // A newly enabled digest starts with the next scheduled time, not right away
+    const { frequency } = req.body;
+    if (frequency && frequency !== 'off' && req.user.digestPreferences.frequency === 'off') {
+      update.lastDigestAt = Date.now();
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      update,
+      { new: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Digest preferences updated successfully',
+      data: user.digestPreferences
+    });
+  } catch (error) {
+    console.error('Update digest preferences error:', error);
+
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating digest preferences'
+    });
+  }
+};
@@ -0,0 +1,447 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Team = require('../models/Team');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { logActivity } = require('../utils/activityLogger');
+const { computeTaskStats, castMatch } = require('../utils/taskStats');
+const { projectScopeQuery, canAccessProject } = require('../utils/projectAccess');
+const { taskScopeQuery } = require('../utils/taskAccess');
+const { getScope } = require('../utils/permissions');
+
+const PROJECT_FIELDS = [
+  'name',
+  'code',
+  'description',
+  'client',
+  'team',
+  'managers',
+  'members',
+  'status',
+  'startDate',
+  'endDate'
+];
+
+const pickProjectFields = (body) => {
+  return PROJECT_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+};
+
+// All ids must be valid and belong to existing users
+const usersExist = async (ids = []) => {
+  const unique = [...new Set(ids.map(String))];
+  if (!unique.every((id) => mongoose.isValidObjectId(id))) return false;
+  return (await User.countDocuments({ _id: { $in: unique } })) === unique.length;
+};
+
+// Check referenced users and team, returns an error message or null
+const validateReferences = async (fields) => {
+  if (!(await usersExist([...(fields.managers || []), ...(fields.members || [])]))) {
+    return 'Invalid user ID in managers or members';
+  }
+
+  if (fields.team && !(mongoose.isValidObjectId(fields.team) && await Team.exists({ _id: fields.team }))) {
+    return 'Invalid team ID';
+  }
+
+  return null;
+};
+
+const sendSaveError = (res, error, fallback) => {
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'A project with this code already exists'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: fallback
+  });
+};
+
+// @desc    Get projects
+// @route   GET /api/projects
+// @access  Private (non-admins only see projects they are involved in)
+exports.getProjects = async (req, res) => {
+  try {
+    const { status, team, search, page = 1, limit = 10 } = req.query;
+
+    let query = await projectScopeQuery(req.user);
+
+    if (status) query.status = status;
+    if (team) query.team = team;
+    if (search) {
+      query.$and = [{
+        $or: [
+          { name: { $regex: search, $options: 'i' } },
+          { code: { $regex: search, $options: 'i' } },
+          { client: { $regex: search, $options: 'i' } }
+        ]
+      }];
+    }
+
+    // Pagination
+    const skip = (page - 1) * limit;
+
+    const projects = await Project.find(query)
+      .populate('team', 'name')
+      .populate('managers', 'name email')
+      .skip(skip)
+      .limit(parseInt(limit))
+      .sort({ createdAt: -1 });
+
+    const total = await Project.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: projects.length,
+      total,
+      pages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      data: projects
+    });
+  } catch (error) {
+    console.error('Get projects error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching projects'
+    });
+  }
+};
+
+// @desc    Get single project
+// @route   GET /api/projects/:id
+// @access  Private
+exports.getProject = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await canAccessProject(project, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this project'
+      });
+    }
+
+    await project.populate([
+      { path: 'team', select: 'name department' },
+      { path: 'managers', select: 'name email department' },
+      { path: 'members', select: 'name email department' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: project
+    });
+  } catch (error) {
+    console.error('Get project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching project'
+    });
+  }
+};
+
+// @desc    Create project
+// @route   POST /api/projects
+// @access  Private/Admin
+exports.createProject = async (req, res) => {
+  try {
+    const fields = pickProjectFields(req.body);
+    const invalid = await validateReferences(fields);
+
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    const project = await Project.create({
+      ...fields,
+      createdBy: req.user.id
+    });
+
+    await logActivity({ req, entityType: 'Project', entityId: project._id, action: 'create', after: project });
+
+    res.status(201).json({
+      success: true,
+      message: 'Project created successfully',
+      data: project
+    });
+  } catch (error) {
+    console.error('Create project error:', error);
+    sendSaveError(res, error, 'Error creating project');
+  }
+};
+
+// @desc    Update project
+// @route   PUT /api/projects/:id
+// @access  Private/Admin
+exports.updateProject = async (req, res) => {
+  try {
+    const fields = pickProjectFields(req.body);
+    const invalid = await validateReferences(fields);
+
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    const project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const before = project.toObject();
+
+    project.set(fields);
+    await project.save();
+
+    await logActivity({ req, entityType: 'Project', entityId: project._id, action: 'update', before, after: project });
+
+    res.status(200).json({
+      success: true,
+      message: 'Project updated successfully',
+      data: project
+    });
+  } catch (error) {
+    console.error('Update project error:', error);
+    sendSaveError(res, error, 'Error updating project');
+  }
+};
+
+// @desc    Delete project (tasks are kept without a project)
+// @route   DELETE /api/projects/:id
+// @access  Private/Admin
+exports.deleteProject = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    await Project.findByIdAndDelete(req.params.id);
+
+    const detached = await Task.updateMany({ project: project._id }, { $unset: { project: 1 } });
+
+    await logActivity({
+      req,
+      entityType: 'Project',
+      entityId: project._id,
+      action: 'delete',
+      before: project,
+      metadata: { detachedTasks: detached.modifiedCount }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Project deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting project'
+    });
+  }
+};
+
+// @desc    Add or change a project member
+// @route   POST /api/projects/:id/members
+// @access  Private/Admin
+exports.addProjectMember = async (req, res) => {
+  try {
+    const { userId, role = 'member' } = req.body;
+
+    if (!['member', 'manager'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: "Role must be 'member' or 'manager'"
+      });
+    }
+
+    if (!(await usersExist([userId]))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    // A user holds a single role per project
+    const project = await Project.findByIdAndUpdate(
+      req.params.id,
+      { $pull: { members: userId, managers: userId } }
+    );
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const updated = await Project.findByIdAndUpdate(
+      req.params.id,
+      { $addToSet: { [role === 'manager' ? 'managers' : 'members']: userId }, updatedAt: Date.now() },
+      { new: true }
+    ).populate('managers', 'name email department')
+     .populate('members', 'name email department');
+
+    await logActivity({
+      req,
+      entityType: 'Project',
+      entityId: project._id,
+      action: 'member.add',
+      metadata: { userId, role }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Project member saved successfully',
+      data: updated
+    });
+  } catch (error) {
+    console.error('Add project member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding project member'
+    });
+  }
+};
+
+// @desc    Remove project member
+// @route   DELETE /api/projects/:id/members/:userId
+// @access  Private/Admin
+exports.removeProjectMember = async (req, res) => {
+  try {
+    const project = await Project.findByIdAndUpdate(
+      req.params.id,
+      { $pull: { members: req.params.userId, managers: req.params.userId }, updatedAt: Date.now() },
+      { new: true }
+    ).populate('managers', 'name email department')
+     .populate('members', 'name email department');
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    await logActivity({
+      req,
+      entityType: 'Project',
+      entityId: project._id,
+      action: 'member.remove',
+      metadata: { userId: req.params.userId }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Project member removed successfully',
+      data: project
+    });
+  } catch (error) {
+    console.error('Remove project member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing project member'
+    });
+  }
+};
+
+// @desc    Get project statistics
+// @route   GET /api/projects/:id/stats
+// @access  Private
+exports.getProjectStats = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await canAccessProject(project, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this project'
+      });
+    }
+
+    // Employees see their own stats, managers those of their department or team
+    const query = {
+      ...(await taskScopeQuery(req.user)),
+      project: project._id
+    };
+
+    const stats = await computeTaskStats(query);
+
+    // Workload per assignee
+    const assigneeStats = await Task.aggregate([
+      { $match: castMatch(query) },
+      {
+        $group: {
+          _id: '$assignedTo',
+          total: { $sum: 1 },
+          completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } }
+        }
+      },
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+      { $unwind: '$user' },
+      { $project: { _id: 0, userId: '$_id', name: '$user.name', email: '$user.email', total: 1, completed: 1 } },
+      { $sort: { total: -1 } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        project: {
+          id: project._id,
+          name: project.name,
+          code: project.code,
+          status: project.status
+        },
+        ...stats,
+        assigneeStats: getScope(req.user) === 'own' ? undefined : assigneeStats
+      }
+    });
+  } catch (error) {
+    console.error('Get project stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching project statistics'
+    });
+  }
+};
@@ -0,0 +1,240 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Employee = require('../models/Employee');
+const Task = require('../models/Task');
+const { logActivity } = require('../utils/activityLogger');
+const { canAccessUser, staffScopeQuery } = require('../utils/taskAccess');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Review period from the query: explicit from/to, otherwise the last REVIEW_CYCLE_DAYS days
+const getReviewPeriod = ({ from, to }) => {
+  const end = to ? new Date(to) : new Date();
+  const days = parseInt(process.env.REVIEW_CYCLE_DAYS, 10) || 90;
+  const start = from ? new Date(from) : new Date(end.getTime() - days * DAY_MS);
+
+  return { start, end };
+};
+
+const average = (ratings) => {
+  if (!ratings.length) return null;
+  return Math.round((ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length) * 100) / 100;
+};
+
+// @desc    Submit performance review
+// @route   POST /api/employees/:id/reviews
+// @access  Private/Admin/Manager
+exports.createReview = async (req, res) => {
+  try {
+    const { rating, comment, cycle, tasks = [] } = req.body;
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot review yourself'
+      });
+    }
+
+    // Managers only review employees of their department or team
+    if (!(await canAccessUser(req.user, user._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to review this employee'
+      });
+    }
+
+    const employee = await Employee.findOne({ user: user._id });
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee record not found'
+      });
+    }
+
+    // Linked tasks must be completed tasks of the reviewed employee
+    const taskIds = [...new Set((Array.isArray(tasks) ? tasks : [tasks]).map(String))];
+
+    if (!taskIds.every((id) => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid task ID'
+      });
+    }
+
+    const completedCount = await Task.countDocuments({
+      _id: { $in: taskIds },
+      assignedTo: user._id,
+      status: 'completed'
+    });
+
+    if (completedCount !== taskIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Linked tasks must be completed tasks of this employee'
+      });
+    }
+
+    const previousRating = employee.performance.rating;
+
+    employee.performance.reviews.push({
+      reviewedBy: req.user.id,
+      rating,
+      comment,
+      cycle,
+      tasks: taskIds
+    });
+    employee.updateRating();
+    await employee.save();
+
+    const review = employee.performance.reviews[employee.performance.reviews.length - 1];
+
+    await logActivity({
+      req,
+      entityType: 'Employee',
+      entityId: user._id,
+      action: 'review',
+      changes: [{ field: 'performance.rating', before: previousRating, after: employee.performance.rating }],
+      metadata: { reviewId: review._id, rating: review.rating, cycle: review.cycle }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Review submitted successfully',
+      data: {
+        review,
+        rating: employee.performance.rating
+      }
+    });
+  } catch (error) {
+    console.error('Create review error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error submitting review'
+    });
+  }
+};
+
+// @desc    Get an employee's review history
+// @route   GET /api/employees/:id/reviews
+// @access  Private (own reviews, or managed employees for managers)
+exports.getReviews = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id) || !(await canAccessUser(req.user, req.params.id))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to view this employee's reviews"
+      });
+    }
+
+    const employee = await Employee.findOne({ user: req.params.id })
+      .populate('performance.reviews.reviewedBy', 'name email')
+      .populate('performance.reviews.tasks', 'title completedDate');
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    const reviews = [...employee.performance.reviews].sort((a, b) => b.date - a.date);
+
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      data: {
+        rating: employee.performance.rating,
+        reviews
+      }
+    });
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reviews'
+    });
+  }
+};
+
+// @desc    Review-cycle report across employees
+// @route   GET /api/employees/reviews/report
+// @access  Private/Admin
+exports.getReviewReport = async (req, res) => {
+  try {
+    const { department, cycle } = req.query;
+    const { start, end } = getReviewPeriod(req.query);
+
+    if (isNaN(start) || isNaN(end)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid from or to date'
+      });
+    }
+
+    const query = { ...(await staffScopeQuery(req.user)), invitePending: { $ne: true } };
+    if (department) query.department = department;
+
+    const users = await User.find(query).select('name email department').sort({ name: 1 });
+    const employees = await Employee.find({ user: { $in: users.map((user) => user._id) } })
+      .select('user employeeId performance');
+    const employeeByUser = new Map(employees.map((employee) => [employee.user.toString(), employee]));
+
+    // Reviews inside the cycle: matching the cycle label when given, the date range otherwise
+    const inCycle = (review) => {
+      return cycle ? review.cycle === cycle : review.date >= start && review.date <= end;
+    };
+
+    const rows = users.map((user) => {
+      const employee = employeeByUser.get(user._id.toString());
+      const reviews = employee ? employee.performance.reviews.filter(inCycle) : [];
+      const lastReview = reviews.reduce((last, review) => (!last || review.date > last.date ? review : last), null);
+
+      return {
+        user: { id: user._id, name: user.name, email: user.email, department: user.department },
+        employeeId: employee ? employee.employeeId : undefined,
+        rating: employee ? employee.performance.rating : 0,
+        reviewCount: reviews.length,
+        cycleRating: average(reviews.map((review) => review.rating)),
+        lastReviewedAt: lastReview ? lastReview.date : null
+      };
+    });
+
+    const reviewed = rows.filter((row) => row.reviewCount > 0);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        period: cycle ? { cycle } : { from: start, to: end },
+        totalEmployees: rows.length,
+        reviewedEmployees: reviewed.length,
+        notReviewedEmployees: rows.length - reviewed.length,
+        averageRating: average(reviewed.map((row) => row.cycleRating)),
+        employees: rows
+      }
+    });
+  } catch (error) {
+    console.error('Get review report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating review report'
+    });
+  }
+};
@@ -0,0 +1,251 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { logActivity } = require('../utils/activityLogger');
+const { PERMISSIONS, isKnownPermission } = require('../utils/permissions');
+
+// Error message for an invalid permission list, or null when it is valid
+const validatePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) return 'Permissions must be an array';
+
+  const unknown = permissions.filter((permission) => !isKnownPermission(permission));
+  return unknown.length ? `Unknown permissions: ${unknown.join(', ')}` : null;
+};
+
+// @desc    Get available permissions
+// @route   GET /api/roles/permissions
+// @access  Private/Admin
+exports.getPermissions = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: Object.keys(PERMISSIONS).map((name) => ({ name, description: PERMISSIONS[name] }))
+  });
+};
+
+// @desc    Get roles
+// @route   GET /api/roles
+// @access  Private/Admin
+exports.getRoles = async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ isBuiltIn: -1, name: 1 });
+
+    // Number of users holding each role, including those in the trash
+    const counts = await User.aggregate([
+      { $group: { _id: '$role', count: { $sum: 1 } } }
+    ]).option({ withDeleted: true });
+    const userCounts = new Map(counts.map((count) => [count._id, count.count]));
+
+    res.status(200).json({
+      success: true,
+      count: roles.length,
+      data: roles.map((role) => ({
+        ...role.toJSON(),
+        userCount: userCounts.get(role.name) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching roles'
+    });
+  }
+};
+
+// @desc    Get single role
+// @route   GET /api/roles/:id
+// @access  Private/Admin
+exports.getRole = async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    console.error('Get role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching role'
+    });
+  }
+};
+
+// @desc    Create role
+// @route   POST /api/roles
+// @access  Private/Admin
+exports.createRole = async (req, res) => {
+  try {
+    const { name, description, permissions = [] } = req.body;
+
+    const permissionError = validatePermissions(permissions);
+    if (permissionError) {
+      return res.status(400).json({
+        success: false,
+        message: permissionError
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+      createdBy: req.user.id
+    });
+
+    await logActivity({ req, entityType: 'Role', entityId: role._id, action: 'create', after: role });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: role
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A role with this name already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error creating role'
+    });
+  }
+};
+
+// @desc    Update role
+// @route   PUT /api/roles/:id
+// @access  Private/Admin
+exports.updateRole = async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.isBuiltIn && name !== undefined && name !== role.name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be renamed'
+      });
+    }
+
+    // Keep at least one role able to manage everything
+    if (role.name === 'admin' && permissions !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'The admin role always has every permission'
+      });
+    }
+
+    if (permissions !== undefined) {
+      const permissionError = validatePermissions(permissions);
+      if (permissionError) {
+        return res.status(400).json({
+          success: false,
+          message: permissionError
+        });
+      }
+    }
+
+    const before = role.toObject();
+    const previousName = role.name;
+
+    if (name !== undefined) role.name = name;
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) role.permissions = [...new Set(permissions)];
+    await role.save();
+
+    // Users reference roles by name
+    if (role.name !== previousName) {
+      await User.updateMany({ role: previousName }, { role: role.name });
+    }
+
+    await logActivity({ req, entityType: 'Role', entityId: role._id, action: 'update', before, after: role });
+
+    res.status(200).json({
+      success: true,
+      message: 'Role updated successfully',
+      data: role
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A role with this name already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating role'
+    });
+  }
+};
+
+// @desc    Delete role
+// @route   DELETE /api/roles/:id
+// @access  Private/Admin
+exports.deleteRole = async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.isBuiltIn) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    // Trashed users keep their role for when they are restored
+    const userCount = await User.countDocuments({ role: role.name }).setOptions({ withDeleted: true });
+
+    if (userCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Role is assigned to ${userCount} user(s), assign them another role first`
+      });
+    }
+
+    await Role.findByIdAndDelete(req.params.id);
+
+    await logActivity({ req, entityType: 'Role', entityId: role._id, action: 'delete', before: role });
+
+    res.status(200).json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting role'
+    });
+  }
+};
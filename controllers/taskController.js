@@ -1,33 +1,81 @@
 const Task = require('../models/Task');
 const User = require('../models/User');
 const Employee = require('../models/Employee');
-const { sendTaskNotification } = require('../utils/emailService');
+const Project = require('../models/Project');
+const {
+  sendTaskNotification,
+  sendTaskUpdateNotification,
+  sendTaskCommentNotification
+} = require('../utils/emailService');
+const { notify, notifyTaskParticipants } = require('../utils/notificationService');
+const { computeTaskStats } = require('../utils/taskStats');
+const {
+  canAccessTask,
+  canAccessUser,
+  taskScopeQuery
+} = require('../utils/taskAccess');
+const { hasPermission, isAssignable } = require('../utils/permissions');
+const { getWritableFields, pickDefined } = require('../utils/writePolicies');
+const { findNewAssignee, transferTask, transferOpenTasks } = require('../utils/taskTransfer');
+const { logActivity } = require('../utils/activityLogger');
+const { buildTaskFilter } = require('../utils/listFilters');
+const { publishTaskEvent } = require('../utils/eventBus');
+const {
+  getAllowedTransitions,
+  canTransition,
+  getStatusChangeEffects
+} = require('../utils/taskWorkflow');
+const { refreshProgress, hasOpenSubtasks, wouldCreateCycle } = require('../utils/taskProgress');
+const {
+  getOpenBlockers,
+  handleBlockerStatusChange,
+  refreshDependents
+} = require('../utils/taskDependencies');
+
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+// Tasks can only be added to projects that are not archived
+const findOpenProject = (projectId) => {
+  return Project.findOne({ _id: projectId, status: { $ne: 'archived' } });
+};
+
+// Task the user may archive or unarchive, or send the error response
+const findArchivableTask = async (req, res) => {
+  const task = await Task.findById(req.params.id).select('status archivedAt assignedTo assignedBy');
+
+  if (!task) {
+    res.status(404).json({
+      success: false,
+      message: 'Task not found'
+    });
+    return null;
+  }
+
+  if (!(await canAccessTask(task, req.user))) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to archive this task'
+    });
+    return null;
+  }
+
+  return task;
+};
+
+// Accept checklist items as plain strings or { text } objects
+const normalizeChecklist = (items) => {
+  if (!Array.isArray(items)) return [];
+  return items.map((item) => (typeof item === 'string' ? { text: item } : { text: item && item.text }));
+};
 
 // @desc    Get all tasks
 // @route   GET /api/tasks
 // @access  Private
 exports.getAllTasks = async (req, res) => {
   try {
-    const { status, priority, assignedTo, search, page = 1, limit = 10 } = req.query;
+    const { page = 1, limit = 10 } = req.query;
 
-    // Build query based on user role
-    let query = {};
-
-    // If employee, show only their tasks
-    if (req.user.role === 'employee') {
-      query.assignedTo = req.user.id;
-    }
-
-    // Apply filters
-    if (status) query.status = status;
-    if (priority) query.priority = priority;
-    if (assignedTo && req.user.role === 'admin') query.assignedTo = assignedTo;
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
-    }
+    const query = await buildTaskFilter(req.user, req.query);
 
     // Pagination
     const skip = (page - 1) * limit;
@@ -35,6 +83,7 @@ exports.getAllTasks = async (req, res) => {
     const tasks = await Task.find(query)
       .populate('assignedTo', 'name email department')
       .populate('assignedBy', 'name email')
+      .populate('project', 'name code')
       .skip(skip)
       .limit(parseInt(limit))
       .sort({ createdAt: -1 });
@@ -66,7 +115,10 @@ exports.getTask = async (req, res) => {
     const task = await Task.findById(req.params.id)
       .populate('assignedTo', 'name email department')
       .populate('assignedBy', 'name email')
-      .populate('comments.user', 'name email');
+      .populate('project', 'name code status')
+      .populate('parent', 'title status progress')
+      .populate('comments.user', 'name email')
+      .populate('checklist.doneBy', 'name email');
 
     if (!task) {
       return res.status(404).json({
@@ -76,7 +128,7 @@ exports.getTask = async (req, res) => {
     }
 
     // Check if employee is authorized to view this task
-    if (req.user.role === 'employee' && task.assignedTo._id.toString() !== req.user.id) {
+    if (!(await canAccessTask(task, req.user))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view this task'
@@ -98,21 +150,55 @@ exports.getTask = async (req, res) => {
 
 // @desc    Create task
 // @route   POST /api/tasks
-// @access  Private/Admin
+// @access  Private/Admin/Manager
 exports.createTask = async (req, res) => {
   try {
-    const { title, description, assignedTo, priority, deadline, tags } = req.body;
+    const { title, description, assignedTo, priority, deadline, estimatedHours, tags, parent, checklist, project } = req.body;
 
     // Verify assigned user exists and is an employee
     const assignedUser = await User.findById(assignedTo);
 
-    if (!assignedUser || assignedUser.role !== 'employee') {
+    if (!(await isAssignable(assignedUser))) {
       return res.status(400).json({
         success: false,
         message: 'Invalid employee ID'
       });
     }
 
+    // Managers can only assign tasks within their department or team
+    if (!(await canAccessUser(req.user, assignedUser._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to assign tasks to this employee'
+      });
+    }
+
+    if (project && !(await findOpenProject(project))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or archived project ID'
+      });
+    }
+
+    // Subtasks can only be added to open parent tasks
+    if (parent) {
+      const parentTask = await Task.findById(parent);
+
+      if (!parentTask) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid parent task ID'
+        });
+      }
+
+      if (CLOSED_STATUSES.includes(parentTask.status)) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot add a subtask to a ${parentTask.status} task`
+        });
+      }
+    }
+
     const task = await Task.create({
       title,
       description,
@@ -120,20 +206,39 @@ exports.createTask = async (req, res) => {
       assignedBy: req.user.id,
       priority,
       deadline,
-      tags
+      estimatedHours,
+      tags,
+      project: project || undefined,
+      parent: parent || undefined,
+      checklist: normalizeChecklist(checklist)
     });
 
+    if (task.parent) {
+      await refreshProgress(task.parent);
+    }
+
     const populatedTask = await Task.findById(task._id)
       .populate('assignedTo', 'name email department')
       .populate('assignedBy', 'name email');
 
-    // Send notification (async, don't wait)
-    sendTaskNotification(assignedUser.email, {
-      taskTitle: title,
-      assignedBy: req.user.name,
-      deadline,
-      priority
-    }).catch(err => console.error('Email notification error:', err));
+    await logActivity({ req, entityType: 'Task', entityId: task._id, action: 'create', after: task });
+    publishTaskEvent('task.created', task, { actor: req.user });
+
+    // Notify the assignee (async, don't wait)
+    notify({
+      user: assignedUser,
+      type: 'task.assigned',
+      title: `New task assigned: ${task.title}`,
+      message: `${req.user.name} assigned you a new task.`,
+      task,
+      actor: req.user,
+      sendEmail: (recipient) => sendTaskNotification(recipient, {
+        taskTitle: task.title,
+        assignedBy: req.user.name,
+        deadline: task.deadline,
+        priority: task.priority
+      })
+    });
 
     res.status(201).json({
       success: true,
@@ -163,41 +268,165 @@ exports.updateTask = async (req, res) => {
       });
     }
 
-    // Employees can only update status of their own tasks
-    if (req.user.role === 'employee') {
-      if (task.assignedTo.toString() !== req.user.id) {
-        return res.status(403).json({
+    const before = task.toObject({ virtuals: false });
+    const { status } = req.body;
+
+    if (!(await canAccessTask(task, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    // Without task:update (e.g. employees) only the status can be changed
+    const canEdit = hasPermission(req.user, 'task:update');
+
+    if (!canEdit) {
+      if (!status) {
+        return res.status(400).json({
           success: false,
-          message: 'Not authorized to update this task'
+          message: 'Please provide a status'
         });
       }
+    }
 
-      // Only allow status update for employees
-      const { status } = req.body;
-      task = await Task.findByIdAndUpdate(
-        req.params.id,
-        { status },
-        { new: true, runValidators: true }
-      ).populate('assignedTo', 'name email department')
-       .populate('assignedBy', 'name email');
-
-      // Update employee's completed tasks count
-      if (status === 'completed') {
-        await Employee.findOneAndUpdate(
-          { user: req.user.id },
-          { $inc: { tasksCompleted: 1 } }
-        );
+    const statusChanged = status !== undefined && status !== task.status;
+
+    // Enforce the status workflow for the user's role
+    if (statusChanged && !canTransition(req.user, task.status, status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot change task status from '${task.status}' to '${status}'`,
+        allowedTransitions: getAllowedTransitions(req.user, task.status)
+      });
+    }
+
+    // A parent cannot be completed while it still has open subtasks
+    if (statusChanged && status === 'completed' && await hasOpenSubtasks(task._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot complete a task while it has open subtasks'
+      });
+    }
+
+    // A blocked task cannot be started or completed until its dependencies are done
+    if (statusChanged && ['in-progress', 'completed'].includes(status)) {
+      const blockers = await getOpenBlockers(task);
+
+      if (blockers.length) {
+        return res.status(409).json({
+          success: false,
+          message: 'Task is blocked by unfinished dependencies',
+          blockedBy: blockers.map((blocker) => ({ id: blocker._id, title: blocker.title, status: blocker.status }))
+        });
       }
-    } else {
-      // Admin can update all fields
-      task = await Task.findByIdAndUpdate(
-        req.params.id,
-        req.body,
-        { new: true, runValidators: true }
-      ).populate('assignedTo', 'name email department')
-       .populate('assignedBy', 'name email');
     }
 
+    // Only the fields the user's role may write (unknown ones were rejected by authorizeFields)
+    const update = pickDefined(req.body, getWritableFields(req.user, 'Task'));
+    let completedDelta = 0;
+
+    if (update.project && String(update.project) !== String(task.project || '') && !(await findOpenProject(update.project))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or archived project ID'
+      });
+    }
+
+    const parentChanged = update.parent !== undefined && String(update.parent || '') !== String(task.parent || '');
+
+    if (parentChanged) {
+      if (update.parent && (!(await Task.exists({ _id: update.parent })) || await wouldCreateCycle(task._id, update.parent))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid parent task ID'
+        });
+      }
+
+      if (!update.parent) {
+        delete update.parent;
+        update.$unset = { parent: 1 };
+      }
+    }
+
+    if (statusChanged) {
+      const effects = getStatusChangeEffects(task.status, status);
+      Object.assign(update, effects.set);
+      if (Object.keys(effects.unset).length) update.$unset = { ...update.$unset, ...effects.unset };
+      completedDelta = effects.completedDelta;
+
+      // Reopened tasks return to the active lists
+      if (task.archivedAt) update.$unset = { ...update.$unset, archivedAt: 1, archivedBy: 1 };
+    }
+
+    // A new deadline or a reopened task starts the reminders and the escalation afresh
+    const deadlineChanged = update.deadline !== undefined &&
+      new Date(update.deadline || 0).getTime() !== new Date(task.deadline || 0).getTime();
+    const reopened = statusChanged && CLOSED_STATUSES.includes(task.status) && !CLOSED_STATUSES.includes(status);
+    if (deadlineChanged || reopened) update.reminders = [];
+
+    // Only applies if the status is still the one the transition was checked against,
+    // so concurrent requests cannot both complete the task
+    const updated = await Task.findOneAndUpdate(
+      { _id: task._id, status: task.status },
+      update,
+      { runValidators: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Task was changed in the meantime, reload it and try again'
+      });
+    }
+
+    // Roll progress up the new and, if it moved, the old parent chain
+    await refreshProgress(req.params.id);
+    if (parentChanged && before.parent) {
+      await refreshProgress(before.parent);
+    }
+
+    task = await Task.findById(req.params.id)
+      .populate('assignedTo', 'name email department')
+      .populate('assignedBy', 'name email');
+
+    // Unblock (or re-block) tasks that depend on this one
+    if (statusChanged) {
+      await handleBlockerStatusChange(task, req.user);
+    }
+
+    // Keep the assignee's completed tasks count in sync
+    if (completedDelta > 0) {
+      await Employee.findOneAndUpdate(
+        { user: before.assignedTo },
+        { $inc: { tasksCompleted: 1 } }
+      );
+    } else if (completedDelta < 0) {
+      await Employee.findOneAndUpdate(
+        { user: before.assignedTo, tasksCompleted: { $gt: 0 } },
+        { $inc: { tasksCompleted: -1 } }
+      );
+    }
+
+    await logActivity({ req, entityType: 'Task', entityId: task._id, action: 'update', before, after: task });
+
+    // Notify the people involved of status changes (async, don't wait)
+    if (statusChanged) {
+      notifyTaskParticipants(task, req.user, {
+        type: 'task.status',
+        title: `Task ${task.status}: ${task.title}`,
+        message: `${req.user.name} changed the status from ${before.status} to ${task.status}.`,
+        data: { from: before.status, to: task.status },
+        sendEmail: (recipient) => sendTaskUpdateNotification(recipient, {
+          taskTitle: task.title,
+          status: task.status,
+          updatedBy: req.user.name
+        })
+      });
+    }
+
+    publishTaskEvent('task.updated', task, { actor: req.user });
+
     res.status(200).json({
       success: true,
       message: 'Task updated successfully',
@@ -212,7 +441,210 @@ exports.updateTask = async (req, res) => {
   }
 };
 
-// @desc    Delete task
+// @desc    Reassign task to another employee
+// @route   POST /api/tasks/:id/reassign
+// @access  Private/Admin/Manager
+exports.reassignTask = async (req, res) => {
+  try {
+    const { assignedTo, reason } = req.body;
+
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await canAccessTask(task, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to reassign this task'
+      });
+    }
+
+    if (CLOSED_STATUSES.includes(task.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot reassign a ${task.status} task`
+      });
+    }
+
+    if (String(task.assignedTo) === String(assignedTo)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Task is already assigned to this employee'
+      });
+    }
+
+    const { assignee, error } = await findNewAssignee(req.user, assignedTo);
+
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const updatedTask = await transferTask(task, assignee, { req, actor: req.user, reason });
+
+    res.status(200).json({
+      success: true,
+      message: 'Task reassigned successfully',
+      data: updatedTask
+    });
+  } catch (error) {
+    console.error('Reassign task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reassigning task'
+    });
+  }
+};
+
+// @desc    Transfer all open tasks of one employee to another
+// @route   POST /api/tasks/transfer
+// @access  Private/Admin/Manager
+exports.transferTasks = async (req, res) => {
+  try {
+    const { from, to, reason } = req.body;
+
+    if (String(from) === String(to)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot transfer tasks to the same employee'
+      });
+    }
+
+    const previousAssignee = await User.findById(from);
+
+    if (!previousAssignee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    if (!(await canAccessUser(req.user, previousAssignee._id))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to transfer this employee's tasks"
+      });
+    }
+
+    const { assignee, error } = await findNewAssignee(req.user, to);
+
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const moved = await transferOpenTasks(previousAssignee._id, assignee, { req, actor: req.user, reason });
+
+    res.status(200).json({
+      success: true,
+      message: `${moved.length} open task(s) transferred to ${assignee.name}`,
+      data: {
+        from: previousAssignee._id,
+        to: assignee._id,
+        count: moved.length,
+        tasks: moved.map((task) => ({ id: task._id, title: task.title, status: task.status }))
+      }
+    });
+  } catch (error) {
+    console.error('Transfer tasks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error transferring tasks'
+    });
+  }
+};
+
+// @desc    Archive completed task
+// @route   POST /api/tasks/:id/archive
+// @access  Private/Admin/Manager
+exports.archiveTask = async (req, res) => {
+  try {
+    const task = await findArchivableTask(req, res);
+    if (!task) return;
+
+    if (task.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only completed tasks can be archived'
+      });
+    }
+
+    if (task.archivedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Task is already archived'
+      });
+    }
+
+    const archived = await Task.findByIdAndUpdate(
+      task._id,
+      { archivedAt: new Date(), archivedBy: req.user._id },
+      { new: true }
+    );
+
+    await logActivity({ req, entityType: 'Task', entityId: task._id, action: 'archive' });
+    publishTaskEvent('task.updated', archived, { actor: req.user });
+
+    res.status(200).json({
+      success: true,
+      message: 'Task archived successfully'
+    });
+  } catch (error) {
+    console.error('Archive task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error archiving task'
+    });
+  }
+};
+
+// @desc    Return archived task to the active lists
+// @route   DELETE /api/tasks/:id/archive
+// @access  Private/Admin/Manager
+exports.unarchiveTask = async (req, res) => {
+  try {
+    const task = await findArchivableTask(req, res);
+    if (!task) return;
+
+    if (!task.archivedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Task is not archived'
+      });
+    }
+
+    const unarchived = await Task.findByIdAndUpdate(
+      task._id,
+      { $unset: { archivedAt: 1, archivedBy: 1 } },
+      { new: true }
+    );
+
+    await logActivity({ req, entityType: 'Task', entityId: task._id, action: 'unarchive' });
+    publishTaskEvent('task.updated', unarchived, { actor: req.user });
+
+    res.status(200).json({
+      success: true,
+      message: 'Task unarchived successfully'
+    });
+  } catch (error) {
+    console.error('Unarchive task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error unarchiving task'
+    });
+  }
+};
+
+// @desc    Delete task (moves it to the trash)
 // @route   DELETE /api/tasks/:id
 // @access  Private/Admin
 exports.deleteTask = async (req, res) => {
@@ -226,11 +658,32 @@ exports.deleteTask = async (req, res) => {
       });
     }
 
-    await Task.findByIdAndDelete(req.params.id);
+    if (!(await canAccessTask(task, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this task'
+      });
+    }
+
+    // Time entries and attachments stay until the task is purged from the trash
+    await Task.updateOne(
+      { _id: task._id },
+      { deletedAt: new Date(), deletedBy: req.user._id }
+    );
+
+    // Subtask and dependency links are kept for a restore; progress and
+    // blockers leave trashed tasks out, so refresh the tasks linked to it
+    if (task.parent) {
+      await refreshProgress(task.parent);
+    }
+    await refreshDependents(task._id);
+
+    await logActivity({ req, entityType: 'Task', entityId: task._id, action: 'delete', before: task });
+    publishTaskEvent('task.deleted', task, { actor: req.user });
 
     res.status(200).json({
       success: true,
-      message: 'Task deleted successfully'
+      message: 'Task moved to the trash'
     });
   } catch (error) {
     console.error('Delete task error:', error);
@@ -257,6 +710,13 @@ exports.addComment = async (req, res) => {
       });
     }
 
+    if (!(await canAccessTask(task, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to comment on this task'
+      });
+    }
+
     task.comments.push({
       user: req.user.id,
       text
@@ -264,6 +724,32 @@ exports.addComment = async (req, res) => {
 
     await task.save();
 
+    const comment = task.comments[task.comments.length - 1];
+    await logActivity({
+      req,
+      entityType: 'Task',
+      entityId: task._id,
+      action: 'comment.add',
+      metadata: { commentId: comment._id, text: comment.text }
+    });
+    publishTaskEvent('task.commented', task, {
+      actor: req.user,
+      data: { commentId: comment._id, text: comment.text }
+    });
+
+    // Notify the assignee and assigner (async, don't wait)
+    notifyTaskParticipants(task, req.user, {
+      type: 'task.comment',
+      title: `New comment on ${task.title}`,
+      message: `${req.user.name}: ${comment.text}`,
+      data: { commentId: comment._id },
+      sendEmail: (recipient) => sendTaskCommentNotification(recipient, {
+        taskTitle: task.title,
+        commentedBy: req.user.name,
+        text: comment.text
+      })
+    });
+
     const updatedTask = await Task.findById(req.params.id)
       .populate('comments.user', 'name email');
 
@@ -281,71 +767,98 @@ exports.addComment = async (req, res) => {
   }
 };
 
+// @desc    Get subtasks of a task
+// @route   GET /api/tasks/:id/subtasks
+// @access  Private
+exports.getSubtasks = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await canAccessTask(task, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this task'
+      });
+    }
+
+    const subtasks = await Task.find({ parent: task._id })
+      .populate('assignedTo', 'name email department')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: subtasks.length,
+      progress: task.progress,
+      data: subtasks
+    });
+  } catch (error) {
+    console.error('Get subtasks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching subtasks'
+    });
+  }
+};
+
+// @desc    Create subtask
+// @route   POST /api/tasks/:id/subtasks
+// @access  Private/Admin/Manager
+exports.createSubtask = async (req, res) => {
+  try {
+    const parent = await Task.findById(req.params.id).select('assignedTo assignedBy project');
+
+    if (!parent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await canAccessTask(parent, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    // Subtasks default to the parent's assignee
+    req.body = {
+      ...req.body,
+      assignedTo: req.body.assignedTo || parent.assignedTo,
+      project: req.body.project || parent.project,
+      parent: parent._id
+    };
+  } catch (error) {
+    console.error('Create subtask error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error creating subtask'
+    });
+  }
+
+  return exports.createTask(req, res);
+};
+
 // @desc    Get task statistics
 // @route   GET /api/tasks/stats/overview
 // @access  Private
 exports.getTaskStats = async (req, res) => {
   try {
-    let query = {};
-
-    // If employee, show only their stats
-    if (req.user.role === 'employee') {
-      query.assignedTo = req.user.id;
-    }
-
-    const totalTasks = await Task.countDocuments(query);
-    const completedTasks = await Task.countDocuments({ ...query, status: 'completed' });
-    const pendingTasks = await Task.countDocuments({ ...query, status: 'pending' });
-    const inProgressTasks = await Task.countDocuments({ ...query, status: 'in-progress' });
-
-    // Get overdue tasks
-    const overdueTasks = await Task.countDocuments({
-      ...query,
-      status: { $ne: 'completed' },
-      deadline: { $lt: new Date() }
-    });
-
-    // Priority distribution
-    const priorityStats = await Task.aggregate([
-      { $match: query },
-      { $group: { _id: '$priority', count: { $sum: 1 } } }
-    ]);
-
-    // Tasks by status over time (last 7 days)
-    const sevenDaysAgo = new Date();
-    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-
-    const taskTrends = await Task.aggregate([
-      {
-        $match: {
-          ...query,
-          createdAt: { $gte: sevenDaysAgo }
-        }
-      },
-      {
-        $group: {
-          _id: {
-            date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
-            status: '$status'
-          },
-          count: { $sum: 1 }
-        }
-      },
-      { $sort: { '_id.date': 1 } }
-    ]);
+    // Employees see their own stats, managers those of their department or team
+    const query = await taskScopeQuery(req.user);
+
+    const stats = await computeTaskStats(query);
 
     res.status(200).json({
       success: true,
-      data: {
-        totalTasks,
-        completedTasks,
-        pendingTasks,
-        inProgressTasks,
-        overdueTasks,
-        completionRate: totalTasks > 0 ? ((completedTasks / totalTasks) * 100).toFixed(2) : 0,
-        priorityStats,
-        taskTrends
-      }
+      data: stats
     });
   } catch (error) {
     console.error('Get task stats error:', error);
@@ -356,6 +869,21 @@ exports.getTaskStats = async (req, res) => {
   }
 };
 
+// @desc    Get status transitions allowed for the current user
+// @route   GET /api/tasks/workflow
+// @access  Private
+exports.getWorkflow = async (req, res) => {
+  const statuses = Task.schema.path('status').enumValues;
+
+  res.status(200).json({
+    success: true,
+    data: statuses.reduce((workflow, status) => {
+      workflow[status] = getAllowedTransitions(req.user, status);
+      return workflow;
+    }, {})
+  });
+};
+
 // @desc    Get tasks for calendar view
 // @route   GET /api/tasks/calendar/view
 // @access  Private
@@ -364,17 +892,14 @@ exports.getCalendarTasks = async (req, res) => {
     const { startDate, endDate } = req.query;
 
     let query = {
+      ...(await taskScopeQuery(req.user)),
+      archivedAt: null,
       deadline: {
         $gte: new Date(startDate),
         $lte: new Date(endDate)
       }
     };
 
-    // If employee, show only their tasks
-    if (req.user.role === 'employee') {
-      query.assignedTo = req.user.id;
-    }
-
     const tasks = await Task.find(query)
       .populate('assignedTo', 'name email')
       .select('title status priority deadline assignedTo');
@@ -0,0 +1,338 @@
+const mongoose = require('mongoose');
+const Team = require('../models/Team');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const { logActivity } = require('../utils/activityLogger');
+const { getScope } = require('../utils/permissions');
+
+const TEAM_FIELDS = ['name', 'description', 'department', 'managers', 'members'];
+
+const pickTeamFields = (body) => {
+  return TEAM_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+};
+
+// All ids must be valid and belong to existing users
+const usersExist = async (ids = []) => {
+  const unique = [...new Set(ids.map(String))];
+  if (!unique.every((id) => mongoose.isValidObjectId(id))) return false;
+  return (await User.countDocuments({ _id: { $in: unique } })) === unique.length;
+};
+
+const isTeamMember = (team, userId) => {
+  return [...team.members, ...team.managers].some((id) => id.toString() === String(userId));
+};
+
+// @desc    Get teams
+// @route   GET /api/teams
+// @access  Private (non-admins only see their own teams)
+exports.getTeams = async (req, res) => {
+  try {
+    const { department, search } = req.query;
+
+    let query = {};
+
+    if (getScope(req.user) !== 'all') {
+      query.$or = [{ members: req.user.id }, { managers: req.user.id }];
+    }
+
+    if (department) query.department = department;
+    if (search) query.name = { $regex: search, $options: 'i' };
+
+    const teams = await Team.find(query)
+      .populate('managers', 'name email department')
+      .populate('members', 'name email department')
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: teams.length,
+      data: teams
+    });
+  } catch (error) {
+    console.error('Get teams error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching teams'
+    });
+  }
+};
+
+// @desc    Get single team
+// @route   GET /api/teams/:id
+// @access  Private
+exports.getTeam = async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    if (getScope(req.user) !== 'all' && !isTeamMember(team, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this team'
+      });
+    }
+
+    await team.populate([
+      { path: 'managers', select: 'name email department' },
+      { path: 'members', select: 'name email department' }
+    ]);
+
+    const projects = await Project.find({ team: team._id }).select('name code status');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...team.toJSON(),
+        projects
+      }
+    });
+  } catch (error) {
+    console.error('Get team error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching team'
+    });
+  }
+};
+
+// @desc    Create team
+// @route   POST /api/teams
+// @access  Private/Admin
+exports.createTeam = async (req, res) => {
+  try {
+    const fields = pickTeamFields(req.body);
+
+    if (!(await usersExist([...(fields.managers || []), ...(fields.members || [])]))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID in managers or members'
+      });
+    }
+
+    const team = await Team.create({
+      ...fields,
+      createdBy: req.user.id
+    });
+
+    await logActivity({ req, entityType: 'Team', entityId: team._id, action: 'create', after: team });
+
+    res.status(201).json({
+      success: true,
+      message: 'Team created successfully',
+      data: team
+    });
+  } catch (error) {
+    console.error('Create team error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A team with this name already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error creating team'
+    });
+  }
+};
+
+// @desc    Update team
+// @route   PUT /api/teams/:id
+// @access  Private/Admin
+exports.updateTeam = async (req, res) => {
+  try {
+    const fields = pickTeamFields(req.body);
+
+    if (!(await usersExist([...(fields.managers || []), ...(fields.members || [])]))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID in managers or members'
+      });
+    }
+
+    const team = await Team.findById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    const before = team.toObject();
+
+    team.set(fields);
+    await team.save();
+
+    await logActivity({ req, entityType: 'Team', entityId: team._id, action: 'update', before, after: team });
+
+    res.status(200).json({
+      success: true,
+      message: 'Team updated successfully',
+      data: team
+    });
+  } catch (error) {
+    console.error('Update team error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A team with this name already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating team'
+    });
+  }
+};
+
+// @desc    Delete team
+// @route   DELETE /api/teams/:id
+// @access  Private/Admin
+exports.deleteTeam = async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    await Team.findByIdAndDelete(req.params.id);
+
+    // Projects stay, they just no longer belong to the team
+    await Project.updateMany({ team: team._id }, { $unset: { team: 1 } });
+
+    await logActivity({ req, entityType: 'Team', entityId: team._id, action: 'delete', before: team });
+
+    res.status(200).json({
+      success: true,
+      message: 'Team deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete team error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting team'
+    });
+  }
+};
+
+// @desc    Add or change a team member
+// @route   POST /api/teams/:id/members
+// @access  Private/Admin
+exports.addTeamMember = async (req, res) => {
+  try {
+    const { userId, role = 'member' } = req.body;
+
+    if (!['member', 'manager'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: "Role must be 'member' or 'manager'"
+      });
+    }
+
+    if (!(await usersExist([userId]))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    // A user holds a single role per team
+    const team = await Team.findByIdAndUpdate(
+      req.params.id,
+      { $pull: { members: userId, managers: userId } }
+    );
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    const updated = await Team.findByIdAndUpdate(
+      req.params.id,
+      { $addToSet: { [role === 'manager' ? 'managers' : 'members']: userId }, updatedAt: Date.now() },
+      { new: true }
+    ).populate('managers', 'name email department')
+     .populate('members', 'name email department');
+
+    await logActivity({
+      req,
+      entityType: 'Team',
+      entityId: team._id,
+      action: 'member.add',
+      metadata: { userId, role }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Team member saved successfully',
+      data: updated
+    });
+  } catch (error) {
+    console.error('Add team member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding team member'
+    });
+  }
+};
+
+// @desc    Remove team member
+// @route   DELETE /api/teams/:id/members/:userId
+// @access  Private/Admin
+exports.removeTeamMember = async (req, res) => {
+  try {
+    const team = await Team.findByIdAndUpdate(
+      req.params.id,
+      { $pull: { members: req.params.userId, managers: req.params.userId }, updatedAt: Date.now() },
+      { new: true }
+    ).populate('managers', 'name email department')
+     .populate('members', 'name email department');
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    await logActivity({
+      req,
+      entityType: 'Team',
+      entityId: team._id,
+      action: 'member.remove',
+      metadata: { userId: req.params.userId }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Team member removed successfully',
+      data: team
+    });
+  } catch (error) {
+    console.error('Remove team member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing team member'
+    });
+  }
+};
@@ -0,0 +1,398 @@
+const TaskTemplate = require('../models/TaskTemplate');
+const User = require('../models/User');
+const { logActivity } = require('../utils/activityLogger');
+const { nextOccurrence, upcomingOccurrences, isSameDay } = require('../utils/recurrence');
+const { isAssignable } = require('../utils/permissions');
+
+const TEMPLATE_FIELDS = [
+  'title',
+  'description',
+  'assignedTo',
+  'project',
+  'priority',
+  'tags',
+  'checklist',
+  'recurrence',
+  'timeOfDay',
+  'deadlineOffsetHours',
+  'startDate',
+  'endDate'
+];
+
+const pickTemplateFields = (body) => {
+  return TEMPLATE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+};
+
+// Schedule the next occurrence from now, so pausing or editing never back-fills
+const scheduleNextRun = (template) => {
+  template.nextRunAt = template.isPaused ? undefined : nextOccurrence(template, new Date());
+};
+
+// Upcoming occurrences flagged with whether they will be skipped
+const previewOccurrences = (template) => {
+  if (template.isPaused) return [];
+
+  return upcomingOccurrences(template, new Date(Date.now() - 1)).map((date) => ({
+    date,
+    skipped: template.skipDates.some((skip) => isSameDay(skip, date))
+  }));
+};
+
+const validateAssignee = async (assignedTo) => {
+  return isAssignable(await User.findById(assignedTo));
+};
+
+const sendValidationError = (res, error) => {
+  return res.status(400).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// @desc    Get all task templates
+// @route   GET /api/task-templates
+// @access  Private/Admin
+exports.getTemplates = async (req, res) => {
+  try {
+    const { assignedTo, paused, page = 1, limit = 10 } = req.query;
+
+    let query = {};
+    if (assignedTo) query.assignedTo = assignedTo;
+    if (paused !== undefined) query.isPaused = paused === 'true';
+
+    // Pagination
+    const skip = (page - 1) * limit;
+
+    const templates = await TaskTemplate.find(query)
+      .populate('assignedTo', 'name email department')
+      .populate('createdBy', 'name email')
+      .skip(skip)
+      .limit(parseInt(limit))
+      .sort({ createdAt: -1 });
+
+    const total = await TaskTemplate.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      total,
+      pages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      data: templates
+    });
+  } catch (error) {
+    console.error('Get templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching task templates'
+    });
+  }
+};
+
+// @desc    Get single task template with upcoming occurrences
+// @route   GET /api/task-templates/:id
+// @access  Private/Admin
+exports.getTemplate = async (req, res) => {
+  try {
+    const template = await TaskTemplate.findById(req.params.id)
+      .populate('assignedTo', 'name email department')
+      .populate('createdBy', 'name email');
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task template not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...template.toJSON(),
+        upcoming: previewOccurrences(template)
+      }
+    });
+  } catch (error) {
+    console.error('Get template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching task template'
+    });
+  }
+};
+
+// @desc    Create task template
+// @route   POST /api/task-templates
+// @access  Private/Admin
+exports.createTemplate = async (req, res) => {
+  try {
+    const fields = pickTemplateFields(req.body);
+
+    if (!(await validateAssignee(fields.assignedTo))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid employee ID'
+      });
+    }
+
+    const template = new TaskTemplate({
+      ...fields,
+      createdBy: req.user.id
+    });
+
+    await template.validate();
+    scheduleNextRun(template);
+    await template.save();
+
+    await logActivity({ req, entityType: 'TaskTemplate', entityId: template._id, action: 'create', after: template });
+
+    res.status(201).json({
+      success: true,
+      message: 'Task template created successfully',
+      data: {
+        ...template.toJSON(),
+        upcoming: previewOccurrences(template)
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+
+    console.error('Create template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating task template'
+    });
+  }
+};
+
+// @desc    Update task template
+// @route   PUT /api/task-templates/:id
+// @access  Private/Admin
+exports.updateTemplate = async (req, res) => {
+  try {
+    const template = await TaskTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task template not found'
+      });
+    }
+
+    const fields = pickTemplateFields(req.body);
+
+    if (fields.assignedTo && !(await validateAssignee(fields.assignedTo))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid employee ID'
+      });
+    }
+
+    const before = template.toObject();
+
+    template.set(fields);
+    await template.validate();
+    scheduleNextRun(template);
+    await template.save();
+
+    await logActivity({ req, entityType: 'TaskTemplate', entityId: template._id, action: 'update', before, after: template });
+
+    res.status(200).json({
+      success: true,
+      message: 'Task template updated successfully',
+      data: {
+        ...template.toJSON(),
+        upcoming: previewOccurrences(template)
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+
+    console.error('Update template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating task template'
+    });
+  }
+};
+
+// @desc    Delete task template (generated tasks are kept)
+// @route   DELETE /api/task-templates/:id
+// @access  Private/Admin
+exports.deleteTemplate = async (req, res) => {
+  try {
+    const template = await TaskTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task template not found'
+      });
+    }
+
+    await TaskTemplate.findByIdAndDelete(req.params.id);
+
+    await logActivity({ req, entityType: 'TaskTemplate', entityId: template._id, action: 'delete', before: template });
+
+    res.status(200).json({
+      success: true,
+      message: 'Task template deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting task template'
+    });
+  }
+};
+
+// @desc    Pause or resume a task template
+// @route   POST /api/task-templates/:id/pause
+// @route   POST /api/task-templates/:id/resume
+// @access  Private/Admin
+const setPaused = (isPaused) => async (req, res) => {
+  try {
+    const template = await TaskTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task template not found'
+      });
+    }
+
+    template.isPaused = isPaused;
+    scheduleNextRun(template);
+    await template.save();
+
+    await logActivity({
+      req,
+      entityType: 'TaskTemplate',
+      entityId: template._id,
+      action: isPaused ? 'pause' : 'resume'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Task template ${isPaused ? 'paused' : 'resumed'} successfully`,
+      data: template
+    });
+  } catch (error) {
+    console.error('Pause template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating task template'
+    });
+  }
+};
+
+exports.pauseTemplate = setPaused(true);
+exports.resumeTemplate = setPaused(false);
+
+// @desc    Skip a single occurrence
+// @route   POST /api/task-templates/:id/skip-dates
+// @access  Private/Admin
+exports.addSkipDate = async (req, res) => {
+  try {
+    const date = new Date(req.body.date);
+
+    if (!req.body.date || isNaN(date.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid date'
+      });
+    }
+
+    const template = await TaskTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task template not found'
+      });
+    }
+
+    if (!template.skipDates.some((skip) => isSameDay(skip, date))) {
+      template.skipDates.push(date);
+      await template.save();
+    }
+
+    await logActivity({
+      req,
+      entityType: 'TaskTemplate',
+      entityId: template._id,
+      action: 'occurrence.skip',
+      metadata: { date }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Occurrence skipped successfully',
+      data: {
+        skipDates: template.skipDates,
+        upcoming: previewOccurrences(template)
+      }
+    });
+  } catch (error) {
+    console.error('Skip occurrence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error skipping occurrence'
+    });
+  }
+};
+
+// @desc    Restore a skipped occurrence
+// @route   DELETE /api/task-templates/:id/skip-dates/:date
+// @access  Private/Admin
+exports.removeSkipDate = async (req, res) => {
+  try {
+    const date = new Date(req.params.date);
+
+    if (isNaN(date.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid date'
+      });
+    }
+
+    const template = await TaskTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task template not found'
+      });
+    }
+
+    template.skipDates = template.skipDates.filter((skip) => !isSameDay(skip, date));
+    await template.save();
+
+    await logActivity({
+      req,
+      entityType: 'TaskTemplate',
+      entityId: template._id,
+      action: 'occurrence.unskip',
+      metadata: { date }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Occurrence restored successfully',
+      data: {
+        skipDates: template.skipDates,
+        upcoming: previewOccurrences(template)
+      }
+    });
+  } catch (error) {
+    console.error('Restore occurrence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring occurrence'
+    });
+  }
+};
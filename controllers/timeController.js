@@ -0,0 +1,563 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const TimeEntry = require('../models/TimeEntry');
+const { canAccessTask, canAccessUser, userScopeQuery } = require('../utils/taskAccess');
+const { hasPermission } = require('../utils/permissions');
+const { logActivity } = require('../utils/activityLogger');
+const { toCsv } = require('../utils/csv');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+const toHours = (minutes) => Math.round(((minutes || 0) / 60) * 100) / 100;
+
+// Report period from the query: explicit from/to, otherwise the last 30 days
+const getReportPeriod = ({ from, to }) => {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - 30 * DAY_MS);
+
+  return { start, end };
+};
+
+// Monday 00:00 (server time) of the week containing `date`
+const getWeekStart = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+};
+
+const formatDate = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const formatTime = (date) => {
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+};
+
+// Load a task the current user works on, or send the error response
+const findOwnTask = async (req, res) => {
+  const task = await Task.findById(req.params.id);
+
+  if (!task) {
+    res.status(404).json({
+      success: false,
+      message: 'Task not found'
+    });
+    return null;
+  }
+
+  if (String(task.assignedTo) !== String(req.user.id)) {
+    res.status(403).json({
+      success: false,
+      message: 'You can only log time on your own tasks'
+    });
+    return null;
+  }
+
+  return task;
+};
+
+const sendSaveError = (res, error, message) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+const sendTimerRunning = (res, running) => {
+  res.status(409).json({
+    success: false,
+    message: 'A timer is already running, stop it first',
+    data: running
+  });
+};
+
+// @desc    Get time entries of a task
+// @route   GET /api/tasks/:id/time
+// @access  Private
+exports.getTimeEntries = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await canAccessTask(task, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this task'
+      });
+    }
+
+    const entries = await TimeEntry.find({ task: task._id })
+      .populate('user', 'name email')
+      .sort({ start: -1 });
+
+    const loggedMinutes = entries.reduce((sum, entry) => sum + (entry.duration || 0), 0);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: {
+        estimatedHours: task.estimatedHours,
+        loggedHours: toHours(loggedMinutes),
+        entries
+      }
+    });
+  } catch (error) {
+    console.error('Get time entries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching time entries'
+    });
+  }
+};
+
+// @desc    Log time manually
+// @route   POST /api/tasks/:id/time
+// @access  Private
+exports.logTime = async (req, res) => {
+  try {
+    const { start, end, duration, note } = req.body;
+
+    if (!start || (!end && !duration)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a start time and either an end time or a duration in minutes'
+      });
+    }
+
+    const startDate = new Date(start);
+    const endDate = end ? new Date(end) : new Date(startDate.getTime() + Number(duration) * 60000);
+
+    if (isNaN(startDate) || isNaN(endDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid start, end or duration'
+      });
+    }
+
+    if (endDate > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot log time in the future'
+      });
+    }
+
+    const task = await findOwnTask(req, res);
+    if (!task) return;
+
+    const entry = await TimeEntry.create({
+      task: task._id,
+      user: req.user.id,
+      start: startDate,
+      end: endDate,
+      note,
+      source: 'manual'
+    });
+
+    await logActivity({
+      req,
+      entityType: 'Task',
+      entityId: task._id,
+      action: 'time.log',
+      metadata: { entryId: entry._id, duration: entry.duration }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Time logged successfully',
+      data: entry
+    });
+  } catch (error) {
+    console.error('Log time error:', error);
+    sendSaveError(res, error, 'Error logging time');
+  }
+};
+
+// @desc    Start a timer on a task
+// @route   POST /api/tasks/:id/time/start
+// @access  Private
+exports.startTimer = async (req, res) => {
+  try {
+    const task = await findOwnTask(req, res);
+    if (!task) return;
+
+    if (CLOSED_STATUSES.includes(task.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot start a timer on a ${task.status} task`
+      });
+    }
+
+    // One timer at a time; the unique index catches a start racing this check
+    const running = await TimeEntry.findOne({ user: req.user.id, end: null });
+    if (running) return sendTimerRunning(res, running);
+
+    let entry;
+    try {
+      entry = await TimeEntry.create({
+        task: task._id,
+        user: req.user.id,
+        start: new Date(),
+        note: req.body.note,
+        source: 'timer'
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return sendTimerRunning(res, await TimeEntry.findOne({ user: req.user.id, end: null }));
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Timer started',
+      data: entry
+    });
+  } catch (error) {
+    console.error('Start timer error:', error);
+    sendSaveError(res, error, 'Error starting timer');
+  }
+};
+
+// @desc    Stop the running timer on a task
+// @route   POST /api/tasks/:id/time/stop
+// @access  Private
+exports.stopTimer = async (req, res) => {
+  try {
+    const entry = await TimeEntry.findOne({ task: req.params.id, user: req.user.id, end: null });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'No timer running on this task'
+      });
+    }
+
+    entry.end = new Date();
+    if (req.body.note !== undefined) entry.note = req.body.note;
+    await entry.save();
+
+    await logActivity({
+      req,
+      entityType: 'Task',
+      entityId: entry.task,
+      action: 'time.log',
+      metadata: { entryId: entry._id, duration: entry.duration }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Timer stopped',
+      data: entry
+    });
+  } catch (error) {
+    console.error('Stop timer error:', error);
+    sendSaveError(res, error, 'Error stopping timer');
+  }
+};
+
+// @desc    Delete time entry
+// @route   DELETE /api/tasks/:id/time/:entryId
+// @access  Private
+exports.deleteTimeEntry = async (req, res) => {
+  try {
+    const entry = await TimeEntry.findOne({ _id: req.params.entryId, task: req.params.id });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Time entry not found'
+      });
+    }
+
+    // Your own entries, or those of employees whose time you report on
+    const isOwn = String(entry.user) === String(req.user.id);
+    if (!isOwn && !(hasPermission(req.user, 'time:report') && await canAccessUser(req.user, entry.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this time entry'
+      });
+    }
+
+    await entry.deleteOne();
+
+    await logActivity({
+      req,
+      entityType: 'Task',
+      entityId: entry.task,
+      action: 'time.delete',
+      metadata: { entryId: entry._id, user: entry.user, duration: entry.duration }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Time entry deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete time entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting time entry'
+    });
+  }
+};
+
+// @desc    Get current user's running timer
+// @route   GET /api/time/timer
+// @access  Private
+exports.getRunningTimer = async (req, res) => {
+  try {
+    const entry = await TimeEntry.findOne({ user: req.user.id, end: null })
+      .populate('task', 'title status');
+
+    res.status(200).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    console.error('Get running timer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching timer'
+    });
+  }
+};
+
+// @desc    Logged versus estimated hours per task or employee
+// @route   GET /api/time/report
+// @access  Private/Admin/Manager
+exports.getTimeReport = async (req, res) => {
+  try {
+    const { employee, project, groupBy = 'task' } = req.query;
+    const { start, end } = getReportPeriod(req.query);
+
+    if (isNaN(start) || isNaN(end)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid from or to date'
+      });
+    }
+
+    if (!['task', 'employee'].includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        message: "groupBy must be 'task' or 'employee'"
+      });
+    }
+
+    // Managers only see the time of their department or team
+    const match = { start: { $gte: start, $lte: end }, end: { $ne: null } };
+
+    if (employee) {
+      if (!mongoose.isValidObjectId(employee) || !(await canAccessUser(req.user, employee))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to view the time of this employee'
+        });
+      }
+      match.user = new mongoose.Types.ObjectId(employee);
+    } else {
+      const scope = await userScopeQuery(req.user);
+      if (scope._id) {
+        match.user = { $in: (await User.find(scope).distinct('_id')) };
+      }
+    }
+
+    if (project) {
+      match.task = { $in: await Task.find({ project }).distinct('_id') };
+    }
+
+    // Minutes per employee and task; rolled up below
+    const totals = await TimeEntry.aggregate([
+      { $match: match },
+      { $group: { _id: { user: '$user', task: '$task' }, minutes: { $sum: '$duration' }, entries: { $sum: 1 } } }
+    ]);
+
+    const tasks = await Task.find({ _id: { $in: totals.map((row) => row._id.task) } })
+      .select('title status estimatedHours project');
+    const users = await User.find({ _id: { $in: totals.map((row) => row._id.user) } })
+      .select('name email department');
+
+    const taskById = new Map(tasks.map((task) => [String(task._id), task]));
+    const userById = new Map(users.map((user) => [String(user._id), user]));
+
+    const rows = new Map();
+
+    for (const total of totals) {
+      const task = taskById.get(String(total._id.task));
+      const user = userById.get(String(total._id.user));
+      const key = String(groupBy === 'task' ? total._id.task : total._id.user);
+
+      if (!rows.has(key)) {
+        rows.set(key, groupBy === 'task'
+          ? {
+            task: task ? { id: task._id, title: task.title, status: task.status, project: task.project } : { id: total._id.task },
+            estimatedHours: task ? task.estimatedHours || 0 : 0,
+            minutes: 0,
+            entries: 0,
+            employees: new Set()
+          }
+          : {
+            user: user ? { id: user._id, name: user.name, email: user.email, department: user.department } : { id: total._id.user },
+            estimatedHours: 0,
+            minutes: 0,
+            entries: 0,
+            tasks: new Set()
+          });
+      }
+
+      const row = rows.get(key);
+      row.minutes += total.minutes;
+      row.entries += total.entries;
+
+      if (groupBy === 'task') {
+        row.employees.add(String(total._id.user));
+      } else {
+        // Estimates of every task the employee logged time on
+        row.tasks.add(String(total._id.task));
+        row.estimatedHours += task ? task.estimatedHours || 0 : 0;
+      }
+    }
+
+    const data = [...rows.values()].map(({ minutes, employees, tasks: loggedTasks, ...row }) => {
+      const loggedHours = toHours(minutes);
+      return {
+        ...row,
+        ...(employees && { employeeCount: employees.size }),
+        ...(loggedTasks && { taskCount: loggedTasks.size }),
+        loggedHours,
+        varianceHours: Math.round((loggedHours - row.estimatedHours) * 100) / 100
+      };
+    }).sort((a, b) => b.loggedHours - a.loggedHours);
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data: {
+        period: { from: start, to: end },
+        groupBy,
+        loggedHours: toHours(totals.reduce((sum, total) => sum + total.minutes, 0)),
+        estimatedHours: data.reduce((sum, row) => sum + row.estimatedHours, 0),
+        rows: data
+      }
+    });
+  } catch (error) {
+    console.error('Get time report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating time report'
+    });
+  }
+};
+
+// @desc    Weekly timesheet of an employee (JSON or CSV with format=csv)
+// @route   GET /api/time/timesheet
+// @access  Private/Admin/Manager
+exports.getTimesheet = async (req, res) => {
+  try {
+    const { employee, week, format } = req.query;
+
+    const weekStart = getWeekStart(week ? new Date(week) : new Date());
+
+    if (isNaN(weekStart)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid week date'
+      });
+    }
+
+    const user = employee && mongoose.isValidObjectId(employee)
+      ? await User.findById(employee).select('name email department')
+      : null;
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    if (!(await canAccessUser(req.user, user._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view the time of this employee'
+      });
+    }
+
+    const weekEnd = new Date(weekStart);
+    weekEnd.setDate(weekEnd.getDate() + 7);
+
+    const entries = await TimeEntry.find({
+      user: user._id,
+      start: { $gte: weekStart, $lt: weekEnd },
+      end: { $ne: null }
+    })
+      .populate({ path: 'task', select: 'title project', populate: { path: 'project', select: 'name code' } })
+      .sort({ start: 1 });
+
+    const totalMinutes = entries.reduce((sum, entry) => sum + entry.duration, 0);
+
+    if (format === 'csv') {
+      const csv = toCsv(entries, [
+        { header: 'Date', value: (entry) => formatDate(entry.start) },
+        { header: 'Project', value: (entry) => (entry.task && entry.task.project ? entry.task.project.name : '') },
+        { header: 'Task', value: (entry) => (entry.task ? entry.task.title : 'Deleted task') },
+        { header: 'Start', value: (entry) => formatTime(entry.start) },
+        { header: 'End', value: (entry) => formatTime(entry.end) },
+        { header: 'Hours', value: (entry) => toHours(entry.duration) },
+        { header: 'Note', value: (entry) => entry.note }
+      ]);
+
+      const name = user.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="timesheet-${name || user._id}-${formatDate(weekStart)}.csv"`
+      });
+      return res.status(200).send(csv);
+    }
+
+    // Hours per day, Monday first
+    const days = Array.from({ length: 7 }, (value, index) => {
+      const day = new Date(weekStart);
+      day.setDate(day.getDate() + index);
+      const date = formatDate(day);
+      const minutes = entries
+        .filter((entry) => formatDate(entry.start) === date)
+        .reduce((sum, entry) => sum + entry.duration, 0);
+
+      return { date, hours: toHours(minutes) };
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user,
+        weekStart: formatDate(weekStart),
+        totalHours: toHours(totalMinutes),
+        days,
+        entries
+      }
+    });
+  } catch (error) {
+    console.error('Get timesheet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating timesheet'
+    });
+  }
+};
@@ -0,0 +1,219 @@
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { logActivity } = require('../utils/activityLogger');
+const { refreshProgress } = require('../utils/taskProgress');
+const { publishTaskEvent } = require('../utils/eventBus');
+const { refreshBlocked, refreshDependents } = require('../utils/taskDependencies');
+const { purgeTask, purgeUser, purgeDate } = require('../utils/trashPurgeScheduler');
+
+// Only documents in the trash; the explicit deletedAt filter lifts the default exclusion
+const IN_TRASH = { deletedAt: { $ne: null } };
+
+// Anonymized users were purged already and stay out of the trash
+const USERS_IN_TRASH = { ...IN_TRASH, anonymizedAt: null };
+
+const withPurgeDate = (doc) => ({ ...doc.toJSON(), purgeAt: purgeDate(doc.deletedAt) });
+
+// @desc    Get deleted tasks and employees
+// @route   GET /api/trash
+// @access  Private/Admin
+exports.getTrash = async (req, res) => {
+  try {
+    const { type, page = 1, limit = 20 } = req.query;
+
+    const skip = (page - 1) * limit;
+    const data = {};
+
+    if (!type || type === 'tasks') {
+      const tasks = await Task.find(IN_TRASH)
+        .select('title status priority deadline assignedTo project deletedAt deletedBy')
+        .populate({ path: 'assignedTo', select: 'name email', options: { withDeleted: true } })
+        .populate({ path: 'deletedBy', select: 'name email', options: { withDeleted: true } })
+        .sort({ deletedAt: -1 })
+        .limit(limit * 1)
+        .skip(skip);
+
+      data.tasks = {
+        items: tasks.map(withPurgeDate),
+        total: await Task.countDocuments(IN_TRASH)
+      };
+    }
+
+    if (!type || type === 'employees') {
+      const users = await User.find(USERS_IN_TRASH)
+        .select('name email role department deletedAt deletedBy')
+        .populate({ path: 'deletedBy', select: 'name email', options: { withDeleted: true } })
+        .sort({ deletedAt: -1 })
+        .limit(limit * 1)
+        .skip(skip);
+
+      data.employees = {
+        items: users.map(withPurgeDate),
+        total: await User.countDocuments(USERS_IN_TRASH)
+      };
+    }
+
+    res.status(200).json({
+      success: true,
+      currentPage: parseInt(page),
+      data
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching trash'
+    });
+  }
+};
+
+// @desc    Restore deleted task
+// @route   POST /api/trash/tasks/:id/restore
+// @access  Private/Admin
+exports.restoreTask = async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, ...IN_TRASH });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found in the trash'
+      });
+    }
+
+    // A task cannot come back to someone who is gone
+    const assignee = await User.findById(task.assignedTo).select('deletedAt anonymizedAt')
+      .setOptions({ withDeleted: true });
+
+    if (!assignee || assignee.deletedAt) {
+      return res.status(409).json({
+        success: false,
+        message: !assignee || assignee.anonymizedAt
+          ? "The task's assignee was permanently deleted, the task cannot be restored"
+          : "The task's assignee is deleted, restore them first"
+      });
+    }
+
+    const update = { $unset: { deletedAt: 1, deletedBy: 1 } };
+
+    // Stay under the parent, also one in the trash, unless it was purged
+    const parentExists = task.parent && await Task.exists({ _id: task.parent }).setOptions({ withDeleted: true });
+    if (task.parent && !parentExists) update.$unset.parent = 1;
+
+    await Task.updateOne({ _id: task._id }, update);
+
+    // Its subtasks, parent, blockers and dependents count it again
+    await refreshProgress(task._id);
+    await refreshBlocked(task._id);
+    await refreshDependents(task._id);
+
+    const restored = await Task.findById(task._id)
+      .populate('assignedTo', 'name email department')
+      .populate('assignedBy', 'name email');
+
+    await logActivity({ req, entityType: 'Task', entityId: task._id, action: 'restore' });
+    publishTaskEvent('task.created', restored, { actor: req.user });
+
+    res.status(200).json({
+      success: true,
+      message: 'Task restored successfully',
+      data: restored
+    });
+  } catch (error) {
+    console.error('Restore task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring task'
+    });
+  }
+};
+
+// @desc    Restore deleted employee
+// @route   POST /api/trash/employees/:id/restore
+// @access  Private/Admin
+exports.restoreEmployee = async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, ...USERS_IN_TRASH });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found in the trash'
+      });
+    }
+
+    await User.updateOne({ _id: user._id }, { $unset: { deletedAt: 1, deletedBy: 1 } });
+
+    await logActivity({ req, entityType: 'Employee', entityId: user._id, action: 'restore' });
+
+    res.status(200).json({
+      success: true,
+      message: 'Employee restored successfully. Tasks transferred when they were deleted stay with their new assignees',
+      data: await User.findById(user._id)
+    });
+  } catch (error) {
+    console.error('Restore employee error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring employee'
+    });
+  }
+};
+
+// @desc    Permanently delete task from the trash
+// @route   DELETE /api/trash/tasks/:id
+// @access  Private/Admin
+exports.purgeTask = async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, ...IN_TRASH }).select('title attachments');
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found in the trash'
+      });
+    }
+
+    await purgeTask(task, { req });
+
+    res.status(200).json({
+      success: true,
+      message: 'Task permanently deleted'
+    });
+  } catch (error) {
+    console.error('Purge task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error permanently deleting task'
+    });
+  }
+};
+
+// @desc    Permanently delete employee from the trash
+// @route   DELETE /api/trash/employees/:id
+// @access  Private/Admin
+exports.purgeEmployee = async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, ...USERS_IN_TRASH }).select('email');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found in the trash'
+      });
+    }
+
+    await purgeUser(user, { req });
+
+    res.status(200).json({
+      success: true,
+      message: 'Employee permanently deleted'
+    });
+  } catch (error) {
+    console.error('Purge employee error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error permanently deleting employee'
+    });
+  }
+};
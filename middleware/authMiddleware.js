@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { getRolePermissions, hasPermission } = require('../utils/permissions');
+const { checkWritePolicy } = require('../utils/writePolicies');
 
 // Protect routes - verify JWT token
 exports.protect = async (req, res, next) => {
@@ -39,6 +41,17 @@ exports.protect = async (req, res, next) => {
         });
       }
 
+      if (req.user.isTokenRevoked(decoded.iat)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has expired, please log in again'
+        });
+      }
+
+      // Permissions of the user's role, checked by authorize()
+      req.user.$locals.permissions = await getRolePermissions(req.user.role);
+      req.tokenExpiresAt = decoded.exp;
+
       next();
     } catch (error) {
       return res.status(401).json({
@@ -54,22 +67,48 @@ exports.protect = async (req, res, next) => {
   }
 };
 
-// Grant access to specific roles
-exports.authorize = (...roles) => {
+// Accept the access token as ?access_token= for clients that cannot set headers
+// (EventSource). Only use on routes that need it, URLs end up in logs.
+exports.allowQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+// Require every listed permission (e.g. authorize('task:create'))
+exports.authorize = (...permissions) => {
   return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+    const missing = permissions.find((permission) => !hasPermission(req.user, permission));
+
+    if (missing) {
       return res.status(403).json({
         success: false,
-        message: `User role '${req.user.role}' is not authorized to access this route`
+        message: `User role '${req.user.role}' is not authorized to access this route (requires '${missing}')`
+      });
+    }
+    next();
+  };
+};
+
+// Reject request bodies with fields the user's role may not write on the model (see utils/writePolicies)
+exports.authorizeFields = (model) => {
+  return (req, res, next) => {
+    const violation = checkWritePolicy(req.user, model, req.body);
+
+    if (violation) {
+      return res.status(violation.status).json({
+        success: false,
+        message: violation.message
       });
     }
     next();
   };
 };
 
-// Generate JWT token
+// Generate short-lived JWT access token (renewed through /api/auth/refresh)
 exports.generateToken = (id) => {
   return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m'
   });
 };
@@ -0,0 +1,63 @@
+const multer = require('multer');
+
+const DEFAULT_ALLOWED_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/zip',
+  'text/plain',
+  'text/csv',
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp'
+];
+
+const getAllowedTypes = () => {
+  if (!process.env.UPLOAD_ALLOWED_TYPES) return DEFAULT_ALLOWED_TYPES;
+  return process.env.UPLOAD_ALLOWED_TYPES.split(',').map((type) => type.trim()).filter(Boolean);
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: (parseFloat(process.env.UPLOAD_MAX_SIZE_MB) || 10) * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!getAllowedTypes().includes(file.mimetype)) {
+      const error = new Error(`File type '${file.mimetype}' is not allowed`);
+      error.status = 415;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Accept a single file field and turn multer errors into JSON responses
+exports.uploadSingle = (field) => {
+  const handler = upload.single(field);
+
+  return (req, res, next) => {
+    handler(req, res, (err) => {
+      if (!err) return next();
+
+      let status = err.status || 400;
+      let message = err.message;
+
+      if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+        status = 413;
+        message = `File exceeds the ${parseFloat(process.env.UPLOAD_MAX_SIZE_MB) || 10}MB limit`;
+      }
+
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    });
+  };
+};
@@ -0,0 +1,24 @@
+const { checkSchema, validationResult } = require('express-validator');
+
+// Check the request against an express-validator schema, answering
+// 422 with the first error of each invalid field
+exports.validate = (schema) => {
+  const validations = checkSchema(schema);
+
+  return async (req, res, next) => {
+    await validations.run(req);
+
+    const result = validationResult(req);
+    if (result.isEmpty()) return next();
+
+    return res.status(422).json({
+      success: false,
+      message: 'Validation failed',
+      errors: result.array({ onlyFirstError: true }).map((error) => ({
+        field: error.path,
+        location: error.location,
+        message: error.msg
+      }))
+    });
+  };
+};
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const activityLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorName: {
+    type: String
+  },
+  actorRole: {
+    type: String
+  },
+  entityType: {
+    type: String,
+    enum: ['Task', 'Employee', 'User', 'TaskTemplate', 'Project', 'Team', 'Role'],
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+activityLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+activityLogSchema.index({ actor: 1, createdAt: -1 });
+activityLogSchema.index({ action: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ActivityLog', activityLogSchema);
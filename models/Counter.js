@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Named sequences for human-readable ids, e.g. employeeId. Unlike a document
+// count they never hand out a value twice, also after deletions.
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Next value of a sequence. A missing sequence starts after `initial()`, so
+// ids that were issued before the sequence existed are not reused.
+counterSchema.statics.next = async function(name, initial = async () => 0) {
+  if (!(await this.exists({ _id: name }))) {
+    try {
+      await this.updateOne({ _id: name }, { $setOnInsert: { seq: await initial() } }, { upsert: true });
+    } catch (error) {
+      // Another request created it first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  const counter = await this.findOneAndUpdate({ _id: name }, { $inc: { seq: 1 } }, { new: true });
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// An outbound email waiting in the send queue. The message is rendered when it
+// is queued, so retries send exactly what was originally produced.
+const emailJobSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  locale: {
+    type: String
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  html: {
+    type: String
+  },
+  text: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while a worker is sending the message
+  lockedAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  sentAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+emailJobSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('EmailJob', emailJobSchema);
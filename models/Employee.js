@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
 
 const employeeSchema = new mongoose.Schema({
   user: {
@@ -39,8 +40,26 @@ const employeeSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
       },
-      rating: Number,
-      comment: String,
+      rating: {
+        type: Number,
+        required: [true, 'Rating is required'],
+        min: [1, 'Rating must be between 1 and 5'],
+        max: [5, 'Rating must be between 1 and 5']
+      },
+      comment: {
+        type: String,
+        trim: true
+      },
+      // Review cycle label, e.g. "2026-H1"
+      cycle: {
+        type: String,
+        trim: true
+      },
+      // Completed tasks the review refers to
+      tasks: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task'
+      }],
       date: {
         type: Date,
         default: Date.now
@@ -57,13 +76,32 @@ const employeeSchema = new mongoose.Schema({
   }
 });
 
-// Generate employee ID
+// Highest number among the employee IDs issued so far
+const highestEmployeeNumber = async () => {
+  const ids = await mongoose.model('Employee').distinct('employeeId');
+  return ids.reduce((max, id) => Math.max(max, parseInt(String(id).replace(/^EMP/, ''), 10) || 0), 0);
+};
+
+// Generate employee ID from a sequence, so IDs of deleted employees are never reused
 employeeSchema.pre('save', async function(next) {
   if (!this.employeeId) {
-    const count = await mongoose.model('Employee').countDocuments();
-    this.employeeId = `EMP${String(count + 1).padStart(4, '0')}`;
+    const number = await Counter.next('employeeId', highestEmployeeNumber);
+    this.employeeId = `EMP${String(number).padStart(4, '0')}`;
   }
   next();
 });
 
+// Recompute the rating as the average of the latest REVIEW_ROLLING_WINDOW reviews
+employeeSchema.methods.updateRating = function() {
+  const window = parseInt(process.env.REVIEW_ROLLING_WINDOW, 10) || 5;
+  const recent = [...this.performance.reviews]
+    .sort((a, b) => a.date - b.date)
+    .slice(-window);
+
+  const total = recent.reduce((sum, review) => sum + review.rating, 0);
+  this.performance.rating = recent.length ? Math.round((total / recent.length) * 100) / 100 : 0;
+
+  return this.performance.rating;
+};
+
 module.exports = mongoose.model('Employee', employeeSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  // Recipient
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['task.assigned', 'task.unassigned', 'task.status', 'task.comment', 'task.deadline', 'task.overdue', 'task.unblocked'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    trim: true
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+notificationSchema.index({ user: 1, read: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const projectSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Project name is required'],
+    trim: true
+  },
+  code: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    unique: true,
+    sparse: true
+  },
+  description: {
+    type: String
+  },
+  client: {
+    type: String,
+    trim: true
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team'
+  },
+  managers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'on-hold', 'completed', 'archived'],
+    default: 'active'
+  },
+  startDate: {
+    type: Date,
+    default: Date.now
+  },
+  endDate: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+projectSchema.index({ members: 1 });
+projectSchema.index({ managers: 1 });
+
+projectSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Project', projectSchema);
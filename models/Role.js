@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const roleSchema = new mongoose.Schema({
+  // Referenced by User.role
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9-]*$/, 'Role name may only contain lowercase letters, digits and dashes']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // e.g. 'task:create'; 'task:*' grants every task permission, '*' grants everything
+  permissions: [{
+    type: String,
+    trim: true
+  }],
+  // Built-in roles are seeded at startup and cannot be renamed or deleted
+  isBuiltIn: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+roleSchema.index({ permissions: 1 });
+
+roleSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Role', roleSchema);
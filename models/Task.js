@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const taskSchema = new mongoose.Schema({
   title: {
@@ -20,6 +21,34 @@ const taskSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Every reassignment, oldest first
+  assignmentHistory: [{
+    from: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    to: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      trim: true
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    index: true
+  },
   priority: {
     type: String,
     enum: ['low', 'medium', 'high', 'urgent'],
@@ -34,6 +63,11 @@ const taskSchema = new mongoose.Schema({
     type: Date,
     required: [true, 'Deadline is required']
   },
+  // Planned effort, compared with the logged time entries
+  estimatedHours: {
+    type: Number,
+    min: [0, 'Estimated hours cannot be negative']
+  },
   startDate: {
     type: Date,
     default: Date.now
@@ -41,6 +75,62 @@ const taskSchema = new mongoose.Schema({
   completedDate: {
     type: Date
   },
+  // Completed tasks moved out of the active lists
+  archivedAt: {
+    type: Date
+  },
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    index: true
+  },
+  // Set on tasks generated from a recurring template
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaskTemplate'
+  },
+  occurrenceDate: {
+    type: Date
+  },
+  // Tasks that must be done before this one can start
+  dependsOn: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  blocked: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  checklist: [{
+    text: {
+      type: String,
+      required: [true, 'Checklist item text is required'],
+      trim: true
+    },
+    done: {
+      type: Boolean,
+      default: false
+    },
+    doneBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    doneAt: {
+      type: Date
+    }
+  }],
+  // Percentage rolled up from subtasks, or from the checklist for leaf tasks
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
   comments: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -55,6 +145,13 @@ const taskSchema = new mongoose.Schema({
   attachments: [{
     filename: String,
     url: String,
+    key: String,
+    mimeType: String,
+    size: Number,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     uploadedAt: {
       type: Date,
       default: Date.now
@@ -67,6 +164,16 @@ const taskSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  reminders: [{
+    kind: {
+      type: String,
+      required: true
+    },
+    sentAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -77,21 +184,39 @@ const taskSchema = new mongoose.Schema({
   }
 });
 
+taskSchema.plugin(softDelete);
+
+// One task per template occurrence
+taskSchema.index(
+  { template: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { template: { $exists: true } } }
+);
+
 // Update the updatedAt field before saving
 taskSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   
-  // Set completed date when status changes to completed
-  if (this.isModified('status') && this.status === 'completed' && !this.completedDate) {
-    this.completedDate = Date.now();
+  // Set completed date when status changes to completed, clear it on reopen
+  if (this.isModified('status')) {
+    if (this.status === 'completed' && !this.completedDate) {
+      this.completedDate = Date.now();
+    } else if (this.status !== 'completed') {
+      this.completedDate = undefined;
+    }
   }
   
   next();
 });
 
+// Edits made through findByIdAndUpdate count as modifications too (e.g. for calendar feeds)
+taskSchema.pre('findOneAndUpdate', function(next) {
+  this.set({ updatedAt: Date.now() });
+  next();
+});
+
 // Virtual for checking if task is overdue
 taskSchema.virtual('isOverdue').get(function() {
-  return this.status !== 'completed' && new Date() > this.deadline;
+  return !['completed', 'cancelled'].includes(this.status) && new Date() > this.deadline;
 });
 
 // Ensure virtuals are included in JSON
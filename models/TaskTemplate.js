@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const { parseRRule } = require('../utils/recurrence');
+
+const taskTemplateSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Template title is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    required: [true, 'Template description is required']
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Template must be assigned to an employee']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent'],
+    default: 'medium'
+  },
+  tags: [{
+    type: String
+  }],
+  checklist: [{
+    type: String,
+    trim: true
+  }],
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly', 'rrule'],
+      required: [true, 'Recurrence frequency is required']
+    },
+    interval: {
+      type: Number,
+      min: 1,
+      default: 1
+    },
+    // 0 = Sunday ... 6 = Saturday, defaults to the start date's weekday
+    daysOfWeek: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }],
+    // 1-31, or -1 for the last day of the month
+    dayOfMonth: {
+      type: Number,
+      min: -1,
+      max: 31,
+      validate: {
+        validator: (value) => Number.isInteger(value) && value !== 0,
+        message: 'Day of month must be 1-31, or -1 for the last day'
+      }
+    },
+    rrule: {
+      type: String,
+      trim: true,
+      required: [function() { return this.recurrence.frequency === 'rrule'; }, 'RRULE is required for rrule recurrence'],
+      validate: {
+        validator: function(value) {
+          try {
+            parseRRule(value);
+            return true;
+          } catch (error) {
+            return false;
+          }
+        },
+        message: 'Invalid RRULE'
+      }
+    }
+  },
+  // Time of day ("HH:mm") each occurrence is created
+  timeOfDay: {
+    type: String,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Time of day must be formatted as HH:mm'],
+    default: '09:00'
+  },
+  // Deadline of a generated task, counted from its occurrence
+  deadlineOffsetHours: {
+    type: Number,
+    min: [1, 'Deadline offset must be at least 1 hour'],
+    default: 24
+  },
+  startDate: {
+    type: Date,
+    default: Date.now
+  },
+  endDate: {
+    type: Date
+  },
+  isPaused: {
+    type: Boolean,
+    default: false
+  },
+  skipDates: [{
+    type: Date
+  }],
+  nextRunAt: {
+    type: Date,
+    index: true
+  },
+  lastRunAt: {
+    type: Date
+  },
+  occurrenceCount: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+taskTemplateSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('TaskTemplate', taskTemplateSchema);
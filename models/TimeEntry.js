@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Time a user spent on a task, tracked with the timer or logged manually.
+// A running timer is an entry without an end.
+const timeEntrySchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  start: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  end: {
+    type: Date,
+    validate: {
+      validator: function(value) {
+        return !value || value > this.start;
+      },
+      message: 'End time must be after the start time'
+    }
+  },
+  // Minutes between start and end, set once the entry is finished
+  duration: {
+    type: Number,
+    min: 0
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  source: {
+    type: String,
+    enum: ['timer', 'manual'],
+    default: 'manual'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+timeEntrySchema.index({ task: 1, start: -1 });
+timeEntrySchema.index({ user: 1, start: -1 });
+
+// One running timer per user, also under concurrent starts
+timeEntrySchema.index({ user: 1 }, { unique: true, partialFilterExpression: { end: null } });
+
+// Keep duration in sync with start and end
+timeEntrySchema.pre('validate', function(next) {
+  this.duration = this.end ? Math.round((this.end - this.start) / 60000) : undefined;
+  next();
+});
+
+module.exports = mongoose.model('TimeEntry', timeEntrySchema);
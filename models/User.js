@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const Role = require('./Role');
+const softDelete = require('./plugins/softDelete');
+const { generateHashedToken } = require('../utils/tokenService');
+
+const NOTIFICATION_CHANNELS = ['in-app', 'email', 'both'];
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -17,14 +23,19 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    // Invited users choose their own password when accepting the invite
+    required: [function() { return !this.invitePending; }, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters'],
     select: false
   },
+  // Name of a Role; the built-in roles are admin, manager and employee
   role: {
     type: String,
-    enum: ['admin', 'employee'],
-    default: 'employee'
+    default: 'employee',
+    validate: {
+      validator: async (value) => Boolean(await Role.exists({ name: value })),
+      message: "Role '{VALUE}' does not exist"
+    }
   },
   department: {
     type: String,
@@ -39,21 +50,136 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  passwordChangedAt: {
+    type: Date
+  },
+  sessionsRevokedAt: {
+    type: Date
+  },
+  invitePending: {
+    type: Boolean,
+    default: false
+  },
+  inviteToken: {
+    type: String,
+    select: false
+  },
+  inviteExpire: {
+    type: Date,
+    select: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  invitedAt: {
+    type: Date
+  },
+  // Language of the emails sent to the user, e.g. 'en' or 'es-MX'
+  locale: {
+    type: String,
+    default: 'en',
+    trim: true,
+    match: [/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/, 'Please provide a valid locale such as en or es-MX']
+  },
+  // Channel used for each kind of notification
+  notificationPreferences: {
+    assignment: {
+      type: String,
+      enum: NOTIFICATION_CHANNELS,
+      default: 'both'
+    },
+    statusChange: {
+      type: String,
+      enum: NOTIFICATION_CHANNELS,
+      default: 'in-app'
+    },
+    comment: {
+      type: String,
+      enum: NOTIFICATION_CHANNELS,
+      default: 'in-app'
+    },
+    deadline: {
+      type: String,
+      enum: NOTIFICATION_CHANNELS,
+      default: 'both'
+    }
+  },
+  // Summary emails, sent at `hour` (server time) and on `dayOfWeek` (0 = Sunday) for weekly ones
+  digestPreferences: {
+    frequency: {
+      type: String,
+      enum: DIGEST_FREQUENCIES,
+      default: 'off'
+    },
+    hour: {
+      type: Number,
+      min: 0,
+      max: 23,
+      default: 8
+    },
+    dayOfWeek: {
+      type: Number,
+      min: 0,
+      max: 6,
+      default: 1
+    },
+    // Weekly team summary, only sent to users who see all tasks
+    teamSummary: {
+      type: Boolean,
+      default: true
+    }
+  },
+  lastDigestAt: {
+    type: Date
+  },
+  lastTeamSummaryAt: {
+    type: Date
+  },
+  // Hash of the secret in the user's calendar subscription URL
+  calendarToken: {
+    type: String,
+    select: false,
+    index: true
+  },
+  calendarTokenCreatedAt: {
+    type: Date
+  },
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false
+  },
+  // Set when a purged user was anonymized instead of removed, see trashPurgeScheduler
+  anonymizedAt: {
+    type: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+userSchema.plugin(softDelete);
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
-  if (!this.isModified('password')) {
+  if (!this.isModified('password') || !this.password) {
     return next();
   }
   
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Invalidate tokens issued before the change
+    if (!this.isNew) {
+      this.passwordChangedAt = Date.now();
+    }
+
     next();
   } catch (error) {
     next(error);
@@ -69,10 +195,57 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+// Check whether a JWT issued at `issuedAt` (seconds) predates a password change or "log out all devices"
+userSchema.methods.isTokenRevoked = function(issuedAt) {
+  const cutoff = Math.max(
+    this.passwordChangedAt ? this.passwordChangedAt.getTime() : 0,
+    this.sessionsRevokedAt ? this.sessionsRevokedAt.getTime() : 0
+  );
+  return Math.floor(cutoff / 1000) > issuedAt;
+};
+
+// Generate a single-use password reset token; only its hash is stored
+userSchema.methods.createPasswordResetToken = function() {
+  const { token, hashed } = generateHashedToken();
+  const minutes = parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES, 10) || 30;
+
+  this.resetPasswordToken = hashed;
+  this.resetPasswordExpire = Date.now() + minutes * 60 * 1000;
+
+  return token;
+};
+
+// Generate an invitation token; only its hash is stored
+userSchema.methods.createInviteToken = function() {
+  const { token, hashed } = generateHashedToken();
+  const hours = parseInt(process.env.INVITE_EXPIRE_HOURS, 10) || 72;
+
+  this.inviteToken = hashed;
+  this.inviteExpire = Date.now() + hours * 60 * 60 * 1000;
+  this.invitedAt = Date.now();
+
+  return token;
+};
+
+// Generate the secret for the calendar feed URL, replacing any previous one; only its hash is stored
+userSchema.methods.createCalendarToken = function() {
+  const { token, hashed } = generateHashedToken();
+
+  this.calendarToken = hashed;
+  this.calendarTokenCreatedAt = Date.now();
+
+  return token;
+};
+
 // Remove password from JSON response
 userSchema.methods.toJSON = function() {
   const obj = this.toObject();
   delete obj.password;
+  delete obj.resetPasswordToken;
+  delete obj.resetPasswordExpire;
+  delete obj.inviteToken;
+  delete obj.inviteExpire;
+  delete obj.calendarToken;
   return obj;
 };
 
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const READ_OPERATIONS = ['find', 'findOne', 'countDocuments', 'distinct'];
+
+// Soft deletion: documents are moved to the trash by setting deletedAt and
+// deletedBy instead of being removed. Reads leave trashed documents out unless
+// the query filters on deletedAt itself or sets the withDeleted option, e.g.
+// User.findOne({ email }).setOptions({ withDeleted: true }).
+// Updates and deletes are not filtered, so cleanup still reaches the trash.
+module.exports = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      index: true
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  });
+
+  schema.pre(READ_OPERATIONS, function() {
+    if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function() {
+    if (this.options.withDeleted) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+};
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const { getAuditLogs } = require('../controllers/auditController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const { auditLogsSchema } = require('../validators/auditValidators');
+
+// Protect all routes
+router.use(protect, authorize('audit:view'));
+
+router.get('/', validate(auditLogsSchema), getAuditLogs);
+
+module.exports = router;
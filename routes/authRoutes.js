@@ -4,13 +4,42 @@ const {
   register,
   login,
   getMe,
-  updatePassword
+  updatePassword,
+  updateDetails,
+  refreshToken,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  acceptInvite
 } = require('../controllers/authController');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, authorize, authorizeFields } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const {
+  registerSchema,
+  loginSchema,
+  refreshSchema,
+  logoutSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  acceptInviteSchema,
+  updatePasswordSchema,
+  updateDetailsSchema
+} = require('../validators/authValidators');
+
+// Public routes
+router.post('/register', validate(registerSchema), register);
+router.post('/login', validate(loginSchema), login);
+router.post('/refresh', validate(refreshSchema), refreshToken);
+router.post('/logout', validate(logoutSchema), logout);
+router.post('/forgotpassword', validate(forgotPasswordSchema), forgotPassword);
+router.put('/resetpassword/:token', validate(resetPasswordSchema), resetPassword);
+router.post('/accept-invite/:token', validate(acceptInviteSchema), acceptInvite);
 
-router.post('/register', register);
-router.post('/login', login);
-router.get('/me', protect, getMe);
-router.put('/updatepassword', protect, updatePassword);
+// Account routes
+router.get('/me', protect, authorize('profile:read'), getMe);
+router.put('/updatepassword', protect, authorize('profile:update'), validate(updatePasswordSchema), updatePassword);
+router.put('/updatedetails', protect, authorize('profile:update'), validate(updateDetailsSchema), authorizeFields('Profile'), updateDetails);
+router.post('/logout-all', protect, authorize('profile:update'), logoutAll);
 
 module.exports = router;
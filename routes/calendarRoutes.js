@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSubscription,
+  createSubscription,
+  deleteSubscription,
+  getFeed,
+  getDepartmentFeed
+} = require('../controllers/calendarController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// Feed routes, authenticated by the secret token in the URL since calendar apps cannot log in
+router.get('/feed/:token.ics', getFeed);
+router.get('/feed/:token/departments/:department.ics', getDepartmentFeed);
+
+// Subscription routes
+router
+  .route('/subscription')
+  .get(protect, authorize('task:read'), getSubscription)
+  .post(protect, authorize('task:read'), createSubscription)
+  .delete(protect, authorize('task:read'), deleteSubscription);
+
+module.exports = router;
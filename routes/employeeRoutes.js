@@ -6,26 +6,60 @@ const {
   createEmployee,
   updateEmployee,
   deleteEmployee,
-  getEmployeeStats
+  getEmployeeStats,
+  resendInvite,
+  revokeInvite
 } = require('../controllers/employeeController');
-const { protect, authorize } = require('../middleware/authMiddleware');
+const {
+  createReview,
+  getReviews,
+  getReviewReport
+} = require('../controllers/reviewController');
+const { exportEmployees } = require('../controllers/exportController');
+const { protect, authorize, authorizeFields } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const {
+  employeeIdSchema,
+  deleteEmployeeSchema,
+  listEmployeesSchema,
+  exportEmployeesSchema,
+  createEmployeeSchema,
+  updateEmployeeSchema,
+  createReviewSchema,
+  reviewReportSchema
+} = require('../validators/employeeValidators');
 
 // Protect all routes
 router.use(protect);
 
-// Stats route (must be before /:id route)
-router.get('/stats/overview', authorize('admin'), getEmployeeStats);
+// Stats, report and export routes (must be before /:id route)
+router.get('/stats/overview', authorize('employee:read', 'stats:view'), getEmployeeStats);
+router.get('/export', authorize('employee:read', 'data:export'), validate(exportEmployeesSchema), exportEmployees);
+router.get('/reviews/report', authorize('review:report'), validate(reviewReportSchema), getReviewReport);
 
 // CRUD routes
 router
   .route('/')
-  .get(authorize('admin'), getAllEmployees)
-  .post(authorize('admin'), createEmployee);
+  .get(authorize('employee:read'), validate(listEmployeesSchema), getAllEmployees)
+  .post(authorize('employee:create'), validate(createEmployeeSchema), createEmployee);
 
+// Everyone may view their own profile (checked in getEmployee)
 router
   .route('/:id')
-  .get(getEmployee)
-  .put(authorize('admin'), updateEmployee)
-  .delete(authorize('admin'), deleteEmployee);
+  .get(authorize('profile:read'), validate(employeeIdSchema), getEmployee)
+  .put(authorize('employee:update'), validate(updateEmployeeSchema), authorizeFields('Employee'), updateEmployee)
+  .delete(authorize('employee:delete'), validate(deleteEmployeeSchema), deleteEmployee);
+
+// Invitation routes
+router
+  .route('/:id/invite')
+  .post(authorize('employee:create'), validate(employeeIdSchema), resendInvite)
+  .delete(authorize('employee:delete'), validate(deleteEmployeeSchema), revokeInvite);
+
+// Performance review routes (employees may read their own reviews, checked in getReviews)
+router
+  .route('/:id/reviews')
+  .get(authorize('profile:read'), validate(employeeIdSchema), getReviews)
+  .post(authorize('review:create'), validate(createReviewSchema), createReview);
 
 module.exports = router;
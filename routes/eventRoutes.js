@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { streamEvents } = require('../controllers/eventController');
+const { protect, authorize, allowQueryToken } = require('../middleware/authMiddleware');
+
+// EventSource cannot send an Authorization header, so the token may come in the query
+router.get('/stream', allowQueryToken, protect, authorize('task:read'), streamEvents);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getNotifications,
+  markAsRead,
+  markAllAsRead,
+  getPreferences,
+  updatePreferences,
+  getDigestPreferences,
+  updateDigestPreferences
+} = require('../controllers/notificationController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const { notificationIdSchema } = require('../validators/notificationValidators');
+
+// Protect all routes; notifications are personal, so profile permissions apply
+router.use(protect);
+
+router.get('/', authorize('profile:read'), getNotifications);
+
+// Static routes (must be before /:id route)
+router.put('/read-all', authorize('profile:read'), markAllAsRead);
+
+router
+  .route('/preferences')
+  .get(authorize('profile:read'), getPreferences)
+  .put(authorize('profile:update'), updatePreferences);
+
+router
+  .route('/digest')
+  .get(authorize('profile:read'), getDigestPreferences)
+  .put(authorize('profile:update'), updateDigestPreferences);
+
+router.put('/:id/read', authorize('profile:read'), validate(notificationIdSchema), markAsRead);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getProjects,
+  getProject,
+  createProject,
+  updateProject,
+  deleteProject,
+  addProjectMember,
+  removeProjectMember,
+  getProjectStats
+} = require('../controllers/projectController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// Protect all routes
+router.use(protect);
+
+// CRUD routes
+router
+  .route('/')
+  .get(getProjects)
+  .post(authorize('project:manage'), createProject);
+
+router
+  .route('/:id')
+  .get(getProject)
+  .put(authorize('project:manage'), updateProject)
+  .delete(authorize('project:manage'), deleteProject);
+
+// Stats route
+router.get('/:id/stats', getProjectStats);
+
+// Member routes
+router.post('/:id/members', authorize('project:manage'), addProjectMember);
+router.delete('/:id/members/:userId', authorize('project:manage'), removeProjectMember);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPermissions,
+  getRoles,
+  getRole,
+  createRole,
+  updateRole,
+  deleteRole
+} = require('../controllers/roleController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// Protect all routes
+router.use(protect, authorize('role:manage'));
+
+// Permission catalogue (must be before /:id route)
+router.get('/permissions', getPermissions);
+
+// CRUD routes
+router
+  .route('/')
+  .get(getRoles)
+  .post(createRole);
+
+router
+  .route('/:id')
+  .get(getRole)
+  .put(updateRole)
+  .delete(deleteRole);
+
+module.exports = router;
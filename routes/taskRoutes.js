@@ -6,32 +6,150 @@ const {
   createTask,
   updateTask,
   deleteTask,
+  reassignTask,
+  archiveTask,
+  unarchiveTask,
+  transferTasks,
   addComment,
   getTaskStats,
-  getCalendarTasks
+  getCalendarTasks,
+  getWorkflow,
+  getSubtasks,
+  createSubtask
 } = require('../controllers/taskController');
-const { protect, authorize } = require('../middleware/authMiddleware');
+const {
+  uploadAttachment,
+  getAttachments,
+  downloadAttachment,
+  deleteAttachment
+} = require('../controllers/attachmentController');
+const { getTaskHistory } = require('../controllers/auditController');
+const { exportTasks } = require('../controllers/exportController');
+const {
+  addChecklistItem,
+  updateChecklistItem,
+  deleteChecklistItem
+} = require('../controllers/checklistController');
+const {
+  getDependencies,
+  addDependency,
+  removeDependency,
+  getDependencyGraph
+} = require('../controllers/dependencyController');
+const {
+  getTimeEntries,
+  logTime,
+  startTimer,
+  stopTimer,
+  deleteTimeEntry
+} = require('../controllers/timeController');
+const { protect, authorize, authorizeFields } = require('../middleware/authMiddleware');
+const { uploadSingle } = require('../middleware/uploadMiddleware');
+const { validate } = require('../middleware/validate');
+const {
+  taskIdSchema,
+  listTasksSchema,
+  exportTasksSchema,
+  calendarSchema,
+  dependencyGraphSchema,
+  createTaskSchema,
+  createSubtaskSchema,
+  updateTaskSchema,
+  reassignTaskSchema,
+  transferTasksSchema,
+  commentSchema,
+  addChecklistItemSchema,
+  updateChecklistItemSchema,
+  checklistItemIdSchema,
+  addDependencySchema,
+  dependencyIdSchema,
+  logTimeSchema,
+  timerSchema,
+  timeEntryIdSchema,
+  attachmentIdSchema
+} = require('../validators/taskValidators');
 
 // Protect all routes
 router.use(protect);
 
-// Stats and calendar routes (must be before /:id route)
-router.get('/stats/overview', getTaskStats);
-router.get('/calendar/view', getCalendarTasks);
+// Stats, calendar, workflow, graph, export and transfer routes (must be before /:id route)
+router.get('/stats/overview', authorize('stats:view'), getTaskStats);
+router.get('/export', authorize('task:read', 'data:export'), validate(exportTasksSchema), exportTasks);
+router.get('/calendar/view', authorize('task:read'), validate(calendarSchema), getCalendarTasks);
+router.get('/workflow', authorize('task:read'), getWorkflow);
+router.get('/dependencies/graph', authorize('task:read'), validate(dependencyGraphSchema), getDependencyGraph);
+router.post('/transfer', authorize('task:update'), validate(transferTasksSchema), transferTasks);
 
 // CRUD routes
 router
   .route('/')
-  .get(getAllTasks)
-  .post(authorize('admin'), createTask);
+  .get(authorize('task:read'), validate(listTasksSchema), getAllTasks)
+  .post(authorize('task:create'), validate(createTaskSchema), createTask);
 
+// Users without task:update may only change the status (see utils/writePolicies)
 router
   .route('/:id')
-  .get(getTask)
-  .put(updateTask)
-  .delete(authorize('admin'), deleteTask);
+  .get(authorize('task:read'), validate(taskIdSchema), getTask)
+  .put(authorize('task:status'), validate(updateTaskSchema), authorizeFields('Task'), updateTask)
+  .delete(authorize('task:delete'), validate(taskIdSchema), deleteTask);
+
+// Reassignment notifies both the new and the previous assignee
+router.post('/:id/reassign', authorize('task:update'), validate(reassignTaskSchema), reassignTask);
+
+// Archive routes (completed tasks only)
+router
+  .route('/:id/archive')
+  .post(authorize('task:update'), validate(taskIdSchema), archiveTask)
+  .delete(authorize('task:update'), validate(taskIdSchema), unarchiveTask);
 
 // Comment route
-router.post('/:id/comments', addComment);
+router.post('/:id/comments', authorize('task:comment'), validate(commentSchema), addComment);
+
+// Subtask routes
+router
+  .route('/:id/subtasks')
+  .get(authorize('task:read'), validate(taskIdSchema), getSubtasks)
+  .post(authorize('task:create'), validate(createSubtaskSchema), createSubtask);
+
+// Checklist routes
+router.post('/:id/checklist', authorize('task:status'), validate(addChecklistItemSchema), addChecklistItem);
+
+router
+  .route('/:id/checklist/:itemId')
+  .put(authorize('task:status'), validate(updateChecklistItemSchema), updateChecklistItem)
+  .delete(authorize('task:status'), validate(checklistItemIdSchema), deleteChecklistItem);
+
+// Dependency routes
+router
+  .route('/:id/dependencies')
+  .get(authorize('task:read'), validate(taskIdSchema), getDependencies)
+  .post(authorize('task:update'), validate(addDependencySchema), addDependency);
+
+router.delete('/:id/dependencies/:dependencyId', authorize('task:update'), validate(dependencyIdSchema), removeDependency);
+
+// Time tracking routes; time is logged on your own tasks only (checked in the controller)
+router
+  .route('/:id/time')
+  .get(authorize('task:read'), validate(taskIdSchema), getTimeEntries)
+  .post(authorize('time:log'), validate(logTimeSchema), logTime);
+
+router.post('/:id/time/start', authorize('time:log'), validate(timerSchema), startTimer);
+router.post('/:id/time/stop', authorize('time:log'), validate(timerSchema), stopTimer);
+router.delete('/:id/time/:entryId', authorize('time:log'), validate(timeEntryIdSchema), deleteTimeEntry);
+
+// Activity history
+router.get('/:id/history', authorize('task:read'), validate(taskIdSchema), getTaskHistory);
+
+// Attachment routes
+router
+  .route('/:id/attachments')
+  .get(authorize('task:read'), validate(taskIdSchema), getAttachments)
+  .post(authorize('task:attach'), validate(taskIdSchema), uploadSingle('file'), uploadAttachment);
+
+// Deleting someone else's attachment also needs attachment:delete (checked in deleteAttachment)
+router
+  .route('/:id/attachments/:attachmentId')
+  .get(authorize('task:read'), validate(attachmentIdSchema), downloadAttachment)
+  .delete(authorize('task:attach'), validate(attachmentIdSchema), deleteAttachment);
 
 module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTeams,
+  getTeam,
+  createTeam,
+  updateTeam,
+  deleteTeam,
+  addTeamMember,
+  removeTeamMember
+} = require('../controllers/teamController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// Protect all routes
+router.use(protect);
+
+// CRUD routes
+router
+  .route('/')
+  .get(getTeams)
+  .post(authorize('team:manage'), createTeam);
+
+router
+  .route('/:id')
+  .get(getTeam)
+  .put(authorize('team:manage'), updateTeam)
+  .delete(authorize('team:manage'), deleteTeam);
+
+// Member routes
+router.post('/:id/members', authorize('team:manage'), addTeamMember);
+router.delete('/:id/members/:userId', authorize('team:manage'), removeTeamMember);
+
+module.exports = router;
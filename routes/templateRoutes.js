@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  pauseTemplate,
+  resumeTemplate,
+  addSkipDate,
+  removeSkipDate
+} = require('../controllers/templateController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const { templateIdSchema, listTemplatesSchema } = require('../validators/templateValidators');
+
+// Protect all routes
+router.use(protect, authorize('template:manage'));
+
+// CRUD routes
+router
+  .route('/')
+  .get(validate(listTemplatesSchema), getTemplates)
+  .post(createTemplate);
+
+router
+  .route('/:id')
+  .get(validate(templateIdSchema), getTemplate)
+  .put(validate(templateIdSchema), updateTemplate)
+  .delete(validate(templateIdSchema), deleteTemplate);
+
+// Scheduling routes
+router.post('/:id/pause', validate(templateIdSchema), pauseTemplate);
+router.post('/:id/resume', validate(templateIdSchema), resumeTemplate);
+router.post('/:id/skip-dates', validate(templateIdSchema), addSkipDate);
+router.delete('/:id/skip-dates/:date', validate(templateIdSchema), removeSkipDate);
+
+module.exports = router;
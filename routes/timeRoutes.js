@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getRunningTimer,
+  getTimeReport,
+  getTimesheet
+} = require('../controllers/timeController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const { timeReportSchema, timesheetSchema } = require('../validators/timeValidators');
+
+// Protect all routes
+router.use(protect);
+
+router.get('/timer', authorize('time:log'), getRunningTimer);
+
+// Reports
+router.get('/report', authorize('time:report'), validate(timeReportSchema), getTimeReport);
+router.get('/timesheet', authorize('time:report'), validate(timesheetSchema), getTimesheet);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTrash,
+  restoreTask,
+  restoreEmployee,
+  purgeTask,
+  purgeEmployee
+} = require('../controllers/trashController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const {
+  trashListSchema,
+  trashTaskIdSchema,
+  trashEmployeeIdSchema
+} = require('../validators/trashValidators');
+
+// Protect all routes
+router.use(protect, authorize('trash:manage'));
+
+router.get('/', validate(trashListSchema), getTrash);
+
+// Restore routes
+router.post('/tasks/:id/restore', validate(trashTaskIdSchema), restoreTask);
+router.post('/employees/:id/restore', validate(trashEmployeeIdSchema), restoreEmployee);
+
+// Permanent deletion, before the purge job gets to them
+router.delete('/tasks/:id', validate(trashTaskIdSchema), purgeTask);
+router.delete('/employees/:id', validate(trashEmployeeIdSchema), purgeEmployee);
+
+module.exports = router;
@@ -10,6 +10,24 @@ dotenv.config();
 const authRoutes = require('./routes/authRoutes');
 const employeeRoutes = require('./routes/employeeRoutes');
 const taskRoutes = require('./routes/taskRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const templateRoutes = require('./routes/templateRoutes');
+const projectRoutes = require('./routes/projectRoutes');
+const teamRoutes = require('./routes/teamRoutes');
+const roleRoutes = require('./routes/roleRoutes');
+const eventRoutes = require('./routes/eventRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const timeRoutes = require('./routes/timeRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const trashRoutes = require('./routes/trashRoutes');
+
+// Import startup tasks and background jobs
+const { seedRoles } = require('./utils/permissions');
+const { startReminderScheduler } = require('./utils/reminderScheduler');
+const { startRecurringTaskScheduler } = require('./utils/recurringTaskScheduler');
+const { startEmailQueue } = require('./utils/emailQueue');
+const { startDigestScheduler } = require('./utils/digestScheduler');
+const { startTrashPurgeScheduler } = require('./utils/trashPurgeScheduler');
 
 const app = express();
 
@@ -40,6 +58,16 @@ app.use(express.urlencoded({ extended: true }));
 app.use('/api/auth', authRoutes);
 app.use('/api/employees', employeeRoutes);
 app.use('/api/tasks', taskRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/task-templates', templateRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/teams', teamRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/time', timeRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/trash', trashRoutes);
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -61,11 +89,21 @@ const PORT = process.env.PORT || 5000;
 
 mongoose
   .connect(process.env.MONGODB_URI)
-  .then(() => {
+  .then(async () => {
     console.log('✅ Connected to MongoDB');
+
+    // Built-in roles must exist before anyone logs in
+    await seedRoles();
+
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
     });
+
+    startReminderScheduler();
+    startRecurringTaskScheduler();
+    startEmailQueue();
+    startDigestScheduler();
+    startTrashPurgeScheduler();
   })
   .catch((error) => {
     console.error('❌ MongoDB connection error:', error);
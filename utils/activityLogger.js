@@ -0,0 +1,72 @@
+const ActivityLog = require('../models/ActivityLog');
+
+// Never diffed: bookkeeping fields and sub-collections that get their own actions
+const IGNORED_FIELDS = ['_id', '__v', 'id', 'updatedAt', 'comments', 'attachments', 'reminders', 'assignmentHistory'];
+const REDACTED_FIELDS = ['password'];
+
+// Bring ObjectIds, Dates and populated refs to comparable plain values
+const normalize = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value._bsontype === 'ObjectId' || value._bsontype === 'ObjectID') return value.toString();
+  if (Array.isArray(value)) return value.map(normalize);
+  if (typeof value === 'object') {
+    if (value._id && value._id !== value) return normalize(value._id);
+    return Object.keys(value).reduce((obj, key) => {
+      obj[key] = normalize(value[key]);
+      return obj;
+    }, {});
+  }
+  return value;
+};
+
+const toPlain = (doc) => {
+  if (!doc) return {};
+  return typeof doc.toObject === 'function' ? doc.toObject({ virtuals: false }) : doc;
+};
+
+// Field-level before/after diff of two documents (or plain objects)
+const diff = (before, after, fields) => {
+  const prev = toPlain(before);
+  const next = toPlain(after);
+  const keys = fields || [...new Set([...Object.keys(prev), ...Object.keys(next)])];
+
+  return keys
+    .filter((field) => !IGNORED_FIELDS.includes(field))
+    .reduce((changes, field) => {
+      const from = normalize(prev[field]);
+      const to = normalize(next[field]);
+
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes.push(REDACTED_FIELDS.includes(field)
+          ? { field, before: '[REDACTED]', after: '[REDACTED]' }
+          : { field, before: from, after: to });
+      }
+
+      return changes;
+    }, []);
+};
+
+// Record an activity entry. Failures are logged but never break the request.
+const logActivity = async ({ req, actor, entityType, entityId, action, before, after, changes, metadata }) => {
+  try {
+    const user = actor || (req && req.user);
+
+    await ActivityLog.create({
+      actor: user ? user._id || user.id : undefined,
+      actorName: user ? user.name : undefined,
+      actorRole: user ? user.role : undefined,
+      entityType,
+      entityId,
+      action,
+      changes: changes || (before || after ? diff(before, after) : []),
+      metadata,
+      ip: req ? req.ip : undefined
+    });
+  } catch (error) {
+    console.error('Activity log error:', error);
+  }
+};
+
+exports.diff = diff;
+exports.logActivity = logActivity;
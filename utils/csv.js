@@ -0,0 +1,30 @@
+// Values starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quote a value when needed and neutralise spreadsheet formulas
+const escapeCsv = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line, including the line break
+const toCsvLine = (values) => `${values.map(escapeCsv).join(',')}\r\n`;
+
+// CSV text for `rows` with the given columns: [{ header, value: (row) => ... }]
+const toCsv = (rows, columns) => {
+  let csv = toCsvLine(columns.map((column) => column.header));
+
+  for (const row of rows) {
+    csv += toCsvLine(columns.map((column) => column.value(row)));
+  }
+
+  return csv;
+};
+
+exports.escapeCsv = escapeCsv;
+exports.toCsvLine = toCsvLine;
+exports.toCsv = toCsv;
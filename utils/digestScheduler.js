@@ -0,0 +1,265 @@
+const Task = require('../models/Task');
+const User = require('../models/User');
+const ActivityLog = require('../models/ActivityLog');
+const { sendDigestEmail, sendTeamSummaryEmail } = require('./emailService');
+const { computeTaskStats } = require('./taskStats');
+const { getRolePermissions, getScope, rolesWithPermission } = require('./permissions');
+const { taskScopeQuery } = require('./taskAccess');
+
+const OPEN_STATUSES = ['pending', 'in-progress'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Most recent scheduled send time at or before `now`: today (or yesterday) at `hour`,
+// or for weekly schedules the last `dayOfWeek` at `hour`
+const lastScheduledAt = (now, hour, dayOfWeek) => {
+  const slot = new Date(now);
+  slot.setHours(hour, 0, 0, 0);
+
+  if (dayOfWeek === undefined) {
+    if (slot > now) slot.setDate(slot.getDate() - 1);
+    return slot;
+  }
+
+  slot.setDate(slot.getDate() - ((slot.getDay() - dayOfWeek + 7) % 7));
+  if (slot > now) slot.setDate(slot.getDate() - 7);
+  return slot;
+};
+
+// Record the send on the user first. The update only matches when the slot was not
+// handled yet, so a digest can never be claimed twice.
+const claimSlot = async (userId, field, slot, now) => {
+  const result = await User.updateOne(
+    { _id: userId, $or: [{ [field]: null }, { [field]: { $lt: slot } }] },
+    { $set: { [field]: now } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Put back the previous send time when nothing could be queued so the next run retries
+const releaseSlot = (userId, field, previous, now) => {
+  return User.updateOne(
+    { _id: userId, [field]: now },
+    previous ? { $set: { [field]: previous } } : { $unset: { [field]: 1 } }
+  );
+};
+
+const taskItem = (task) => ({
+  taskTitle: task.title,
+  priority: task.priority,
+  status: task.status,
+  deadline: task.deadline
+});
+
+// Tasks assigned to the user by someone else since `since`, found through the audit trail
+const getNewAssignments = async (user, since) => {
+  const logs = await ActivityLog.find({
+    entityType: 'Task',
+    createdAt: { $gte: since },
+    actor: { $ne: user._id },
+    changes: { $elemMatch: { field: 'assignedTo', after: String(user._id) } }
+  }).distinct('entityId');
+
+  if (!logs.length) return [];
+
+  return Task.find({ _id: { $in: logs }, assignedTo: user._id, status: { $in: OPEN_STATUSES } })
+    .sort({ deadline: 1 });
+};
+
+// Comments by others since `since` on tasks the user works on or assigned
+const getNewComments = async (user, since) => {
+  const tasks = await Task.find({
+    $or: [{ assignedTo: user._id }, { assignedBy: user._id }],
+    comments: { $elemMatch: { createdAt: { $gte: since }, user: { $ne: user._id } } }
+  }).populate('comments.user', 'name');
+
+  return tasks.flatMap((task) => task.comments
+    .filter((comment) => comment.createdAt >= since && comment.user && String(comment.user._id) !== String(user._id))
+    .map((comment) => ({
+      taskTitle: task.title,
+      commentedBy: comment.user.name,
+      text: comment.text,
+      createdAt: comment.createdAt
+    })));
+};
+
+// Everything that goes into one user's digest
+const buildDigest = async (user, since, now) => {
+  const period = user.digestPreferences.frequency;
+
+  // Daily digests look at the rest of today, weekly ones at the coming week
+  const dueUntil = new Date(now);
+  if (period === 'weekly') {
+    dueUntil.setTime(now.getTime() + 7 * DAY_MS);
+  } else {
+    dueUntil.setHours(23, 59, 59, 999);
+  }
+
+  const open = { assignedTo: user._id, status: { $in: OPEN_STATUSES } };
+
+  const [dueSoon, overdue, assigned, comments] = await Promise.all([
+    Task.find({ ...open, deadline: { $gte: now, $lte: dueUntil } }).sort({ deadline: 1 }),
+    Task.find({ ...open, deadline: { $lt: now } }).sort({ deadline: 1 }),
+    getNewAssignments(user, since),
+    getNewComments(user, since)
+  ]);
+
+  return {
+    dueSoon: dueSoon.map(taskItem),
+    overdue: overdue.map(taskItem),
+    assigned: assigned.map(taskItem),
+    comments
+  };
+};
+
+const sendDigest = async (user, now) => {
+  const { frequency, hour, dayOfWeek } = user.digestPreferences;
+  const slot = lastScheduledAt(now, hour, frequency === 'weekly' ? dayOfWeek : undefined);
+
+  if (user.lastDigestAt && user.lastDigestAt >= slot) return false;
+
+  const previous = user.lastDigestAt;
+  if (!(await claimSlot(user._id, 'lastDigestAt', slot, now))) return false;
+
+  // Without a previous digest, cover one period
+  const since = previous || new Date(now.getTime() - (frequency === 'weekly' ? 7 : 1) * DAY_MS);
+
+  try {
+    const digest = await buildDigest(user, since, now);
+    const isEmpty = Object.values(digest).every((items) => !items.length);
+
+    // Nothing to report, skip the email but keep the slot
+    if (isEmpty) return false;
+
+    await sendDigestEmail(user, {
+      name: user.name,
+      daily: frequency === 'daily',
+      weekly: frequency === 'weekly',
+      ...digest,
+      hasDueSoon: digest.dueSoon.length > 0,
+      hasOverdue: digest.overdue.length > 0,
+      hasAssigned: digest.assigned.length > 0,
+      hasComments: digest.comments.length > 0
+    });
+    return true;
+  } catch (error) {
+    await releaseSlot(user._id, 'lastDigestAt', previous, now);
+    throw error;
+  }
+};
+
+// Stats over all tasks of the user's scope plus one row per department
+const buildTeamSummary = async (user) => {
+  const query = await taskScopeQuery(user);
+  const stats = await computeTaskStats(query);
+
+  const departments = await User.distinct('department', { isActive: true });
+  const rows = [];
+
+  for (const department of departments.sort()) {
+    const members = await User.find({ department, isActive: true }).distinct('_id');
+    const departmentStats = await computeTaskStats({ ...query, assignedTo: { $in: members } });
+
+    if (!departmentStats.totalTasks) continue;
+
+    rows.push({
+      department,
+      totalTasks: departmentStats.totalTasks,
+      completedTasks: departmentStats.completedTasks,
+      overdueTasks: departmentStats.overdueTasks,
+      completionRate: departmentStats.completionRate
+    });
+  }
+
+  return {
+    ...stats,
+    createdThisWeek: stats.taskTrends.reduce((sum, trend) => sum + trend.count, 0),
+    departments: rows
+  };
+};
+
+const sendTeamSummary = async (user, now) => {
+  const { hour, dayOfWeek } = user.digestPreferences;
+  const slot = lastScheduledAt(now, hour, dayOfWeek);
+
+  if (user.lastTeamSummaryAt && user.lastTeamSummaryAt >= slot) return false;
+
+  const previous = user.lastTeamSummaryAt;
+  if (!(await claimSlot(user._id, 'lastTeamSummaryAt', slot, now))) return false;
+
+  try {
+    user.$locals.permissions = await getRolePermissions(user.role);
+    if (getScope(user) !== 'all') return false;
+
+    const summary = await buildTeamSummary(user);
+    await sendTeamSummaryEmail(user, { name: user.name, ...summary });
+    return true;
+  } catch (error) {
+    await releaseSlot(user._id, 'lastTeamSummaryAt', previous, now);
+    throw error;
+  }
+};
+
+let running = false;
+
+// Send every digest and team summary that is due
+const runDigests = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const now = new Date();
+    let digests = 0;
+    let summaries = 0;
+
+    const subscribers = await User.find({
+      isActive: true,
+      'digestPreferences.frequency': { $in: ['daily', 'weekly'] }
+    }).select('name email locale digestPreferences lastDigestAt');
+
+    for (const user of subscribers) {
+      try {
+        if (await sendDigest(user, now)) digests += 1;
+      } catch (error) {
+        console.error(`Digest for user ${user._id} error:`, error);
+      }
+    }
+
+    const admins = await User.find({
+      isActive: true,
+      role: { $in: await rolesWithPermission('scope:all') },
+      'digestPreferences.teamSummary': { $ne: false }
+    }).select('name email locale role digestPreferences lastTeamSummaryAt');
+
+    for (const user of admins) {
+      try {
+        if (await sendTeamSummary(user, now)) summaries += 1;
+      } catch (error) {
+        console.error(`Team summary for user ${user._id} error:`, error);
+      }
+    }
+
+    if (digests || summaries) {
+      console.log(`📬 Queued ${digests} digest(s) and ${summaries} team summary email(s)`);
+    }
+  } catch (error) {
+    console.error('Digest scheduler error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Start the in-process scheduler (disable with DIGESTS_ENABLED=false)
+exports.startDigestScheduler = () => {
+  if (process.env.DIGESTS_ENABLED === 'false') {
+    console.log('Digest scheduler disabled.');
+    return null;
+  }
+
+  const minutes = parseInt(process.env.DIGEST_INTERVAL_MINUTES, 10) || 15;
+
+  runDigests();
+  return setInterval(runDigests, minutes * 60 * 1000);
+};
+
+exports.runDigests = runDigests;
+exports.lastScheduledAt = lastScheduledAt;
@@ -0,0 +1,120 @@
+const EmailJob = require('../models/EmailJob');
+const { renderEmail } = require('./emailTemplates');
+const { getTransporter } = require('./mailTransport');
+
+const BATCH_SIZE = 50;
+
+// A job left in 'sending' this long belongs to a worker that died; take it over
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+const getMaxAttempts = () => parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 5;
+
+// Exponential backoff: base, 2x base, 4x base...
+const getRetryDelay = (attempts) => {
+  const baseSeconds = parseInt(process.env.EMAIL_RETRY_BASE_SECONDS, 10) || 60;
+  return baseSeconds * 1000 * Math.pow(2, attempts - 1);
+};
+
+// Atomically take the next due job so two workers never send the same message
+const claimNextJob = () => {
+  const now = new Date();
+
+  return EmailJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) } }
+      ]
+    },
+    { status: 'sending', lockedAt: now, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+const deliverJob = async (job) => {
+  try {
+    await getTransporter().sendMail({
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to: job.to,
+      subject: job.subject,
+      html: job.html,
+      text: job.text
+    });
+
+    job.status = 'sent';
+    job.sentAt = new Date();
+    job.lastError = undefined;
+    console.log(`✅ ${job.template} email sent to ${job.to}`);
+  } catch (error) {
+    job.lastError = error.message;
+
+    if (job.attempts >= getMaxAttempts()) {
+      job.status = 'failed';
+      console.error(`Email to ${job.to} failed after ${job.attempts} attempt(s):`, error.message);
+    } else {
+      job.status = 'queued';
+      job.nextAttemptAt = new Date(Date.now() + getRetryDelay(job.attempts));
+    }
+  }
+
+  job.lockedAt = undefined;
+  await job.save();
+  return job.status === 'sent';
+};
+
+let running = false;
+let started = false;
+
+// Send every due job, up to one batch per run
+const processEmailQueue = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    for (let i = 0; i < BATCH_SIZE; i++) {
+      const job = await claimNextJob();
+      if (!job) break;
+      await deliverJob(job);
+    }
+  } catch (error) {
+    console.error('Email queue error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Render a template and queue it for delivery
+const enqueueEmail = async ({ to, template, locale, values }) => {
+  const message = renderEmail(template, locale, values);
+
+  const job = await EmailJob.create({
+    to,
+    template,
+    locale: message.locale,
+    subject: message.subject,
+    html: message.html,
+    text: message.text
+  });
+
+  // Send right away instead of waiting for the next interval (async, don't wait)
+  if (started) processEmailQueue();
+
+  return job;
+};
+
+// Start the in-process queue worker (disable with EMAIL_QUEUE_ENABLED=false)
+exports.startEmailQueue = () => {
+  if (process.env.EMAIL_QUEUE_ENABLED === 'false') {
+    console.log('Email queue disabled.');
+    return null;
+  }
+
+  const seconds = parseInt(process.env.EMAIL_QUEUE_INTERVAL_SECONDS, 10) || 30;
+
+  started = true;
+  processEmailQueue();
+  return setInterval(processEmailQueue, seconds * 1000);
+};
+
+exports.enqueueEmail = enqueueEmail;
+exports.processEmailQueue = processEmailQueue;
@@ -1,98 +1,95 @@
-const nodemailer = require('nodemailer');
-
-// Create reusable transporter
-const createTransporter = () => {
-  return nodemailer.createTransporter({
-    host: process.env.EMAIL_HOST,
-    port: process.env.EMAIL_PORT,
-    secure: false,
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASSWORD
+const { isEmailConfigured } = require('./mailTransport');
+const { enqueueEmail } = require('./emailQueue');
+
+// Queue a templated email. `to` is a user ({ email, locale }) or a plain address;
+// users get the message in their own locale.
+const queueEmail = async (to, template, values) => {
+  if (!isEmailConfigured()) {
+    console.log('Email service not configured. Skipping notification.');
+    return null;
+  }
+
+  const recipient = typeof to === 'string' ? { email: to } : to;
+
+  return enqueueEmail({
+    to: recipient.email,
+    template,
+    locale: recipient.locale,
+    values: {
+      clientUrl: process.env.CLIENT_URL,
+      taskUrl: `${process.env.CLIENT_URL}/login`,
+      ...values
     }
   });
 };
 
+// Values shared by the task emails
+const taskValues = (taskDetails) => ({
+  ...taskDetails,
+  priorityColor: getPriorityColor(taskDetails.priority),
+  deadline: taskDetails.deadline ? new Date(taskDetails.deadline) : undefined
+});
+
 // Send task notification email
 exports.sendTaskNotification = async (to, taskDetails) => {
-  try {
-    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASSWORD) {
-      console.log('Email service not configured. Skipping notification.');
-      return;
-    }
-
-    const transporter = createTransporter();
-
-    const mailOptions = {
-      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
-      to,
-      subject: `New Task Assigned: ${taskDetails.taskTitle}`,
-      html: `
-        <div style="font-family: Arial, sans-serif; padding: 20px;">
-          <h2 style="color: #333;">New Task Assigned</h2>
-          <p>You have been assigned a new task by ${taskDetails.assignedBy}.</p>
-          
-          <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
-            <h3 style="color: #555; margin-top: 0;">${taskDetails.taskTitle}</h3>
-            <p><strong>Priority:</strong> <span style="text-transform: uppercase; color: ${getPriorityColor(taskDetails.priority)};">${taskDetails.priority}</span></p>
-            <p><strong>Deadline:</strong> ${new Date(taskDetails.deadline).toLocaleDateString()}</p>
-          </div>
-          
-          <p>Please log in to your account to view task details and start working on it.</p>
-          
-          <a href="${process.env.CLIENT_URL}/login" style="display: inline-block; background-color: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; margin-top: 10px;">
-            View Task
-          </a>
-        </div>
-      `
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log(`✅ Task notification sent to ${to}`);
-  } catch (error) {
-    console.error('Email send error:', error);
-    throw error;
-  }
+  return queueEmail(to, 'task-assigned', taskValues(taskDetails));
 };
 
 // Send task status update notification
 exports.sendTaskUpdateNotification = async (to, taskDetails) => {
-  try {
-    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASSWORD) {
-      console.log('Email service not configured. Skipping notification.');
-      return;
-    }
+  return queueEmail(to, 'task-updated', taskValues(taskDetails));
+};
 
-    const transporter = createTransporter();
-
-    const mailOptions = {
-      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
-      to,
-      subject: `Task Updated: ${taskDetails.taskTitle}`,
-      html: `
-        <div style="font-family: Arial, sans-serif; padding: 20px;">
-          <h2 style="color: #333;">Task Status Updated</h2>
-          <p>A task has been updated.</p>
-          
-          <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
-            <h3 style="color: #555; margin-top: 0;">${taskDetails.taskTitle}</h3>
-            <p><strong>New Status:</strong> <span style="text-transform: uppercase;">${taskDetails.status}</span></p>
-            <p><strong>Updated By:</strong> ${taskDetails.updatedBy}</p>
-          </div>
-          
-          <a href="${process.env.CLIENT_URL}/login" style="display: inline-block; background-color: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; margin-top: 10px;">
-            View Task
-          </a>
-        </div>
-      `
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log(`✅ Task update notification sent to ${to}`);
-  } catch (error) {
-    console.error('Email send error:', error);
-    throw error;
-  }
+// Tell the previous assignee that their task was given to someone else
+exports.sendTaskReassignedNotification = async (to, taskDetails) => {
+  return queueEmail(to, 'task-reassigned', taskValues(taskDetails));
+};
+
+// Send upcoming deadline reminder to the assignee
+exports.sendTaskReminder = async (to, taskDetails) => {
+  return queueEmail(to, 'task-reminder', taskValues(taskDetails));
+};
+
+// Send overdue escalation to the admin who assigned the task
+exports.sendOverdueEscalation = async (to, taskDetails) => {
+  return queueEmail(to, 'task-overdue', taskValues(taskDetails));
+};
+
+// Send password reset link
+exports.sendPasswordResetEmail = async (to, details) => {
+  return queueEmail(to, 'password-reset', details);
+};
+
+// Send employee invitation
+exports.sendInviteEmail = async (to, details) => {
+  return queueEmail(to, 'invite', details);
+};
+
+// Send notification that a blocking task was completed
+exports.sendTaskUnblockedNotification = async (to, taskDetails) => {
+  return queueEmail(to, 'task-unblocked', taskValues(taskDetails));
+};
+
+// Send notification about a new comment on a task
+exports.sendTaskCommentNotification = async (to, taskDetails) => {
+  return queueEmail(to, 'task-comment', taskValues(taskDetails));
+};
+
+// Send a daily or weekly digest of the user's tasks
+exports.sendDigestEmail = async (to, digest) => {
+  const withColor = (items) => items.map((item) => taskValues(item));
+
+  return queueEmail(to, 'digest', {
+    ...digest,
+    dueSoon: withColor(digest.dueSoon),
+    overdue: withColor(digest.overdue),
+    assigned: withColor(digest.assigned)
+  });
+};
+
+// Send the weekly team summary to an admin
+exports.sendTeamSummaryEmail = async (to, summary) => {
+  return queueEmail(to, 'team-summary', summary);
 };
 
 // Helper function to get priority color
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+
+// Templates live in templates/email/<locale>/<name>.subject|.html|.txt and are
+// wrapped in templates/email/layout.html. `{{value}}` is HTML-escaped in .html
+// files; `{{{value}}}` inserts it as is and is meant for the layout only.
+// `{{#list}}...{{/list}}` repeats its content for every item of an array (with
+// the item's fields in scope) or renders it once when the value is truthy.
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates', 'email');
+
+const cache = new Map();
+
+const getDefaultLocale = () => process.env.EMAIL_DEFAULT_LOCALE || 'en';
+
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+const readTemplate = (file) => {
+  if (!cache.has(file)) {
+    cache.set(file, fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null);
+  }
+  return cache.get(file);
+};
+
+const getLocales = () => {
+  return fs.readdirSync(TEMPLATE_DIR, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name);
+};
+
+// Closest available locale: exact match, then the language ('es-MX' -> 'es'), then the default
+const resolveLocale = (locale) => {
+  const locales = getLocales();
+  if (locale && locales.includes(locale)) return locale;
+
+  const language = locale && locale.split('-')[0].toLowerCase();
+  if (language && locales.includes(language)) return language;
+
+  return getDefaultLocale();
+};
+
+// One part of a template, falling back to the default locale when a translation is missing
+const loadPart = (name, locale, extension) => {
+  const content = readTemplate(path.join(TEMPLATE_DIR, locale, `${name}.${extension}`)) ||
+    readTemplate(path.join(TEMPLATE_DIR, getDefaultLocale(), `${name}.${extension}`));
+
+  if (content === null) {
+    throw new Error(`Email template '${name}.${extension}' not found`);
+  }
+  return content;
+};
+
+// Dates are shown in the recipient's locale, also inside section lists
+const formatValues = (values, locale) => {
+  return Object.keys(values).reduce((formatted, key) => {
+    const value = values[key];
+    if (value instanceof Date) {
+      formatted[key] = value.toLocaleString(locale, { dateStyle: 'medium', timeStyle: 'short' });
+    } else if (Array.isArray(value)) {
+      formatted[key] = value.map((item) => (item && typeof item === 'object' ? formatValues(item, locale) : item));
+    } else {
+      formatted[key] = value;
+    }
+    return formatted;
+  }, {});
+};
+
+// Sections, raw and escaped values, matched in one pass so inserted values are never parsed again
+const TOKEN = /\{\{#\s*(\w+)\s*\}\}([\s\S]*?)\{\{\/\s*\1\s*\}\}|\{\{\{\s*(\w+)\s*\}\}\}|\{\{\s*(\w+)\s*\}\}/g;
+
+const renderSection = (content, value, values, escape) => {
+  if (Array.isArray(value)) {
+    return value.map((item) => interpolate(content, { ...values, ...item }, escape)).join('');
+  }
+  return value ? interpolate(content, values, escape) : '';
+};
+
+const interpolate = (template, values, escape) => {
+  return template.replace(TOKEN, (match, section, content, raw, name) => {
+    if (section) return renderSection(content, values[section], values, escape);
+
+    const value = values[raw || name];
+    if (value === undefined || value === null) return '';
+    return raw ? String(value) : escape(value);
+  });
+};
+
+// Render a template to { subject, html, text, locale }
+const renderEmail = (name, locale, values = {}) => {
+  const resolved = resolveLocale(locale);
+  const formatted = formatValues(values, resolved);
+  const plain = (value) => String(value);
+
+  const subject = interpolate(loadPart(name, resolved, 'subject'), formatted, plain).trim();
+  const body = interpolate(loadPart(name, resolved, 'html'), formatted, escapeHtml);
+  const layout = readTemplate(path.join(TEMPLATE_DIR, 'layout.html'));
+
+  return {
+    subject,
+    html: layout ? interpolate(layout, { subject, body, locale: resolved }, escapeHtml) : body,
+    text: interpolate(loadPart(name, resolved, 'txt'), formatted, plain),
+    locale: resolved
+  };
+};
+
+exports.escapeHtml = escapeHtml;
+exports.getLocales = getLocales;
+exports.resolveLocale = resolveLocale;
+exports.renderEmail = renderEmail;
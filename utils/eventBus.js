@@ -0,0 +1,56 @@
+const { EventEmitter } = require('events');
+const { refId } = require('./taskAccess');
+
+// In-process bus feeding the /api/events/stream connections. Events only reach
+// clients connected to the same server instance.
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const TASK_EVENT = 'task';
+const TASK_EVENT_TYPES = ['task.created', 'task.updated', 'task.commented', 'task.deleted'];
+
+let lastEventId = 0;
+
+// The fields clients need to refresh a task list entry
+const summarizeTask = (task) => ({
+  _id: task._id,
+  title: task.title,
+  status: task.status,
+  priority: task.priority,
+  deadline: task.deadline,
+  assignedTo: refId(task.assignedTo),
+  assignedBy: refId(task.assignedBy),
+  project: refId(task.project),
+  parent: refId(task.parent),
+  progress: task.progress,
+  blocked: task.blocked,
+  archivedAt: task.archivedAt
+});
+
+// Publish a task event. Never throws, so it cannot break the request that caused it.
+const publishTaskEvent = (type, task, { actor, data } = {}) => {
+  try {
+    lastEventId += 1;
+
+    bus.emit(TASK_EVENT, {
+      id: lastEventId,
+      type,
+      task: summarizeTask(task),
+      actor: actor ? { _id: actor._id || actor.id, name: actor.name } : null,
+      data,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Event publish error:', error);
+  }
+};
+
+// Listen to task events; returns a function removing the listener
+const subscribeTaskEvents = (listener) => {
+  bus.on(TASK_EVENT, listener);
+  return () => bus.off(TASK_EVENT, listener);
+};
+
+exports.TASK_EVENT_TYPES = TASK_EVENT_TYPES;
+exports.publishTaskEvent = publishTaskEvent;
+exports.subscribeTaskEvents = subscribeTaskEvents;
@@ -0,0 +1,77 @@
+// Minimal iCalendar (RFC 5545) writer for read-only subscription feeds
+
+// TEXT values escape backslashes, separators and line breaks
+const escapeText = (value) => {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+// UTC date-time such as 20240131T170000Z
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines are limited to 75 octets; longer ones continue on lines starting with a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = parts.length ? 74 : 75;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const eventLines = (event) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(event.stamp || new Date())}`,
+    `DTSTART:${formatDateTime(event.start)}`,
+    `DTEND:${formatDateTime(event.end || event.start)}`,
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.priority) lines.push(`PRIORITY:${event.priority}`);
+  if (event.categories && event.categories.length) {
+    lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+  }
+  if (event.status) lines.push(`STATUS:${event.status}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.lastModified) lines.push(`LAST-MODIFIED:${formatDateTime(event.lastModified)}`);
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// Whole VCALENDAR document for { name, refreshMinutes, events }
+const buildCalendar = ({ name, refreshMinutes = 15, events }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Employee Task Manager//Task Deadlines//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    // How often subscribed clients should fetch the feed again
+    `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`,
+    `X-PUBLISHED-TTL:PT${refreshMinutes}M`,
+    ...events.flatMap(eventLines),
+    'END:VCALENDAR'
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+exports.escapeText = escapeText;
+exports.formatDateTime = formatDateTime;
+exports.buildCalendar = buildCalendar;
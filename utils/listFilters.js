@@ -0,0 +1,61 @@
+const User = require('../models/User');
+const { taskScopeQuery, staffScopeQuery, withAssignee } = require('./taskAccess');
+
+// Task query for the list filters (status, priority, assignedTo, department,
+// project, search, blocked, template, archived), limited to what the user may see
+const buildTaskFilter = async (user, params) => {
+  const { status, priority, assignedTo, department, project, search, blocked, template, archived } = params;
+
+  // Employees see their own tasks, managers those of their department or team
+  let query = await taskScopeQuery(user);
+
+  if (assignedTo) query = withAssignee(query, assignedTo);
+  if (status) query.status = status;
+  if (priority) query.priority = priority;
+  if (blocked !== undefined) query.blocked = blocked === 'true';
+  if (template) query.template = template;
+  if (project) query.project = project;
+  if (department) {
+    const members = await User.find({ department }).distinct('_id');
+    query.$and = [{ assignedTo: { $in: members } }];
+  }
+  if (search) {
+    query.$or = [
+      { title: { $regex: search, $options: 'i' } },
+      { description: { $regex: search, $options: 'i' } }
+    ];
+  }
+
+  // Archived tasks are only listed when asked for
+  query.archivedAt = archived === 'true' ? { $ne: null } : null;
+
+  return query;
+};
+
+// User query for the employee list filters (search, department, pending),
+// managers only see their department or team
+const buildEmployeeFilter = async (user, params) => {
+  const { search, department, pending } = params;
+
+  const query = await staffScopeQuery(user);
+
+  if (search) {
+    query.$or = [
+      { name: { $regex: search, $options: 'i' } },
+      { email: { $regex: search, $options: 'i' } }
+    ];
+  }
+
+  if (department) {
+    query.department = department;
+  }
+
+  if (pending !== undefined) {
+    query.invitePending = pending === 'true' ? true : { $ne: true };
+  }
+
+  return query;
+};
+
+exports.buildTaskFilter = buildTaskFilter;
+exports.buildEmployeeFilter = buildEmployeeFilter;
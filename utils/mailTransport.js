@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// EMAIL_TRANSPORT selects where mail goes: 'smtp' (default) or 'file', which
+// writes every message to EMAIL_OUTBOX_DIR as an .eml file for development
+const getTransportName = () => (process.env.EMAIL_TRANSPORT || 'smtp').toLowerCase();
+
+const isEmailConfigured = () => {
+  return getTransportName() === 'file' || Boolean(process.env.EMAIL_USER && process.env.EMAIL_PASSWORD);
+};
+
+const createSmtpTransport = () => {
+  return nodemailer.createTransport({
+    host: process.env.EMAIL_HOST,
+    port: process.env.EMAIL_PORT,
+    secure: false,
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASSWORD
+    }
+  });
+};
+
+// Build the raw message with nodemailer's stream transport and save it to disk
+const createFileTransport = () => {
+  const outbox = path.resolve(process.env.EMAIL_OUTBOX_DIR || './outbox');
+  const stream = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    sendMail: async (mail) => {
+      const info = await stream.sendMail(mail);
+      const recipient = String(mail.to).replace(/[^a-z0-9@._-]/gi, '_');
+      const file = path.join(outbox, `${Date.now()}-${recipient}.eml`);
+
+      await fs.promises.mkdir(outbox, { recursive: true });
+      await fs.promises.writeFile(file, info.message);
+
+      return { ...info, file };
+    }
+  };
+};
+
+let transporter = null;
+
+// Reusable transporter for the configured transport
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = getTransportName() === 'file' ? createFileTransport() : createSmtpTransport();
+  }
+  return transporter;
+};
+
+exports.isEmailConfigured = isEmailConfigured;
+exports.getTransporter = getTransporter;
@@ -0,0 +1,71 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { refId } = require('./taskAccess');
+
+// Preference deciding the channel of each notification type
+const PREFERENCE_BY_TYPE = {
+  'task.assigned': 'assignment',
+  'task.unassigned': 'assignment',
+  'task.status': 'statusChange',
+  'task.unblocked': 'statusChange',
+  'task.comment': 'comment',
+  'task.deadline': 'deadline',
+  'task.overdue': 'deadline'
+};
+
+// Notify a user through the channels they chose for this type: an in-app
+// notification, an email (sent by `sendEmail(recipient)`) or both.
+// Never throws; returns what was delivered so callers can retry failures.
+const notify = async ({ user, type, title, message, task, actor, data, sendEmail }) => {
+  const result = { notification: null, emailed: null, skipped: false };
+
+  try {
+    const recipient = await User.findById(refId(user)).select('name email locale isActive notificationPreferences');
+
+    // Nobody to deliver to
+    if (!recipient || !recipient.isActive) {
+      result.skipped = true;
+      return result;
+    }
+
+    const preferences = recipient.notificationPreferences || {};
+    const channel = preferences[PREFERENCE_BY_TYPE[type]] || 'both';
+
+    if (channel === 'in-app' || channel === 'both') {
+      result.notification = await Notification.create({
+        user: recipient._id,
+        type,
+        title,
+        message,
+        task: refId(task),
+        actor: refId(actor),
+        data
+      });
+    }
+
+    if (sendEmail && (channel === 'email' || channel === 'both')) {
+      try {
+        await sendEmail(recipient);
+        result.emailed = true;
+      } catch (error) {
+        result.emailed = false;
+      }
+    }
+  } catch (error) {
+    console.error('Notification error:', error);
+  }
+
+  return result;
+};
+
+// Notify everyone involved in a task except the user who caused the change
+const notifyTaskParticipants = async (task, actor, notification) => {
+  const recipients = [...new Set([refId(task.assignedTo), refId(task.assignedBy)])]
+    .filter((id) => id && id !== refId(actor));
+
+  return Promise.all(recipients.map((user) => notify({ ...notification, user, task, actor })));
+};
+
+exports.PREFERENCE_BY_TYPE = PREFERENCE_BY_TYPE;
+exports.notify = notify;
+exports.notifyTaskParticipants = notifyTaskParticipants;
@@ -0,0 +1,133 @@
+const Role = require('../models/Role');
+
+// Every permission a role can be granted
+const PERMISSIONS = {
+  'task:read': 'View accessible tasks, their history, calendar and dependency graph',
+  'task:create': 'Create tasks and subtasks',
+  'task:update': 'Edit, reassign and link accessible tasks',
+  'task:status': 'Change the status and checklist of accessible tasks',
+  'task:cancel': 'Cancel tasks and reopen completed or cancelled ones',
+  'task:delete': 'Move tasks to the trash',
+  'task:comment': 'Comment on accessible tasks',
+  'task:attach': 'Upload attachments and delete your own',
+  'attachment:delete': "Delete other users' attachments",
+  'employee:read': 'List employees',
+  'employee:create': 'Invite employees',
+  'employee:update': 'Edit employees',
+  'employee:delete': 'Move employees to the trash and revoke invitations',
+  'stats:view': 'View statistics',
+  'data:export': 'Export accessible tasks and employees as CSV or Excel',
+  'review:create': 'Submit performance reviews for accessible employees',
+  'review:report': 'View the review-cycle report',
+  'time:log': 'Track and log time on your own tasks',
+  'time:report': 'View time reports and export the timesheets of accessible employees',
+  'project:manage': 'Create, edit and delete projects and their members',
+  'team:manage': 'Create, edit and delete teams and their members',
+  'template:manage': 'Manage recurring task templates',
+  'audit:view': 'View the audit log',
+  'trash:manage': 'View, restore and permanently delete trashed tasks and employees',
+  'role:manage': 'Manage roles and assign them to users',
+  'profile:read': 'View your own profile',
+  'profile:update': 'Change your password and sign out of all devices',
+  'scope:team': 'Access the employees of your department and the teams you manage',
+  'scope:all': 'Access everyone'
+};
+
+// Permissions that widen what a user sees beyond their own tasks and profile
+const SCOPE_PERMISSIONS = ['scope:all', 'scope:team'];
+
+// Seeded at startup; users created before roles existed keep working since
+// their `role` already names one of these
+const BUILT_IN_ROLES = [
+  {
+    name: 'admin',
+    description: 'Full access',
+    permissions: ['*']
+  },
+  {
+    name: 'manager',
+    description: 'Manages the tasks of their department and teams',
+    permissions: [
+      'task:read', 'task:create', 'task:update', 'task:status', 'task:cancel',
+      'task:comment', 'task:attach', 'employee:read', 'stats:view', 'data:export', 'review:create',
+      'time:log', 'time:report', 'profile:read', 'profile:update', 'scope:team'
+    ]
+  },
+  {
+    name: 'employee',
+    description: 'Works on their own tasks',
+    permissions: [
+      'task:read', 'task:status', 'task:comment', 'task:attach', 'stats:view',
+      'time:log', 'profile:read', 'profile:update'
+    ]
+  }
+];
+
+// Wildcard forms that also grant a permission: '*' and e.g. 'task:*'
+const grantingPermissions = (permission) => {
+  return ['*', `${permission.split(':')[0]}:*`, permission];
+};
+
+const isKnownPermission = (permission) => {
+  return permission === '*' || Boolean(PERMISSIONS[permission]) ||
+    Object.keys(PERMISSIONS).some((known) => `${known.split(':')[0]}:*` === permission);
+};
+
+// Create missing built-in roles. Existing ones are left alone so that edits
+// made by admins survive restarts (except admin, which always keeps '*').
+const seedRoles = async () => {
+  for (const role of BUILT_IN_ROLES) {
+    await Role.updateOne(
+      { name: role.name },
+      {
+        $set: { isBuiltIn: true, ...(role.name === 'admin' && { permissions: role.permissions }) },
+        $setOnInsert: {
+          description: role.description,
+          ...(role.name !== 'admin' && { permissions: role.permissions })
+        }
+      },
+      { upsert: true }
+    );
+  }
+};
+
+// Permissions of a role name, empty when the role does not exist
+const getRolePermissions = async (roleName) => {
+  const role = await Role.findOne({ name: roleName }).select('permissions');
+  return role ? role.permissions : [];
+};
+
+// Permissions are loaded onto req.user by protect()
+const hasPermission = (user, permission) => {
+  const granted = (user && user.$locals && user.$locals.permissions) || [];
+  return grantingPermissions(permission).some((p) => granted.includes(p));
+};
+
+// How far a user's access reaches: 'all', 'team' or 'own'
+const getScope = (user) => {
+  if (hasPermission(user, 'scope:all')) return 'all';
+  if (hasPermission(user, 'scope:team')) return 'team';
+  return 'own';
+};
+
+// Names of the roles granting any of the permissions
+const rolesWithPermission = (...permissions) => {
+  return Role.find({ permissions: { $in: permissions.flatMap(grantingPermissions) } }).distinct('name');
+};
+
+// Tasks go to people who work on their own tasks, not to those supervising others
+const isAssignable = async (user) => {
+  if (!user) return false;
+  return !(await rolesWithPermission(...SCOPE_PERMISSIONS)).includes(user.role);
+};
+
+exports.PERMISSIONS = PERMISSIONS;
+exports.SCOPE_PERMISSIONS = SCOPE_PERMISSIONS;
+exports.BUILT_IN_ROLES = BUILT_IN_ROLES;
+exports.isKnownPermission = isKnownPermission;
+exports.seedRoles = seedRoles;
+exports.getRolePermissions = getRolePermissions;
+exports.hasPermission = hasPermission;
+exports.getScope = getScope;
+exports.rolesWithPermission = rolesWithPermission;
+exports.isAssignable = isAssignable;
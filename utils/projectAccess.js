@@ -0,0 +1,39 @@
+const Team = require('../models/Team');
+const { refId } = require('./taskAccess');
+const { getScope } = require('./permissions');
+
+// Ids of the teams a user manages or belongs to
+const getUserTeamIds = (userId) => {
+  return Team.find({ $or: [{ members: userId }, { managers: userId }] }).distinct('_id');
+};
+
+// Filter limiting project queries to the ones a user is involved in
+exports.projectScopeQuery = async (user) => {
+  if (getScope(user) === 'all') return {};
+
+  const teamIds = await getUserTeamIds(user.id);
+
+  return {
+    $or: [
+      { members: user.id },
+      { managers: user.id },
+      { team: { $in: teamIds } }
+    ]
+  };
+};
+
+// Whether a user is a member or manager of the project, directly or through its team
+exports.canAccessProject = async (project, user) => {
+  if (getScope(user) === 'all') return true;
+
+  const userId = String(user.id);
+  const direct = [...project.members, ...project.managers].some((id) => refId(id) === userId);
+  if (direct || !project.team) return direct;
+
+  return Boolean(await Team.exists({
+    _id: refId(project.team),
+    $or: [{ members: user.id }, { managers: user.id }]
+  }));
+};
+
+exports.getUserTeamIds = getUserTeamIds;
@@ -0,0 +1,177 @@
+// Recurrence rules for task templates. Supported rules:
+//   { frequency: 'daily', interval }
+//   { frequency: 'weekly', interval, daysOfWeek: [0-6] }   (0 = Sunday)
+//   { frequency: 'monthly', interval, dayOfMonth: 1-31 | -1 } (-1 = last day)
+//   { frequency: 'rrule', rrule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR;COUNT=10' }
+// RRULE support covers FREQ (DAILY/WEEKLY/MONTHLY), INTERVAL, BYDAY, BYMONTHDAY,
+// COUNT and UNTIL. All dates are evaluated in the server's local time zone.
+
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Safety net so a rule that never matches cannot loop forever
+const MAX_LOOKAHEAD_DAYS = 366 * 5;
+
+const parseRRule = (value) => {
+  const parts = String(value || '')
+    .replace(/^RRULE:/i, '')
+    .split(';')
+    .filter(Boolean)
+    .reduce((obj, part) => {
+      const [key, val] = part.split('=');
+      obj[key.trim().toUpperCase()] = (val || '').trim().toUpperCase();
+      return obj;
+    }, {});
+
+  const frequency = { DAILY: 'daily', WEEKLY: 'weekly', MONTHLY: 'monthly' }[parts.FREQ];
+  if (!frequency) {
+    throw new Error('RRULE must have FREQ=DAILY, WEEKLY or MONTHLY');
+  }
+
+  const rule = { frequency, interval: parts.INTERVAL ? parseInt(parts.INTERVAL, 10) : 1 };
+
+  if (!rule.interval || rule.interval < 1) {
+    throw new Error('RRULE INTERVAL must be a positive number');
+  }
+
+  if (parts.BYDAY) {
+    rule.daysOfWeek = parts.BYDAY.split(',').map((code) => {
+      const day = DAY_CODES.indexOf(code.trim());
+      if (day === -1) throw new Error(`Invalid RRULE BYDAY value '${code}'`);
+      return day;
+    });
+  }
+
+  if (parts.BYMONTHDAY) {
+    rule.dayOfMonth = parseInt(parts.BYMONTHDAY, 10);
+    if (!rule.dayOfMonth || rule.dayOfMonth > 31 || rule.dayOfMonth < -1) {
+      throw new Error('RRULE BYMONTHDAY must be 1-31 or -1');
+    }
+  }
+
+  if (parts.COUNT) {
+    rule.count = parseInt(parts.COUNT, 10);
+  }
+
+  if (parts.UNTIL) {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(parts.UNTIL);
+    if (!match) throw new Error('RRULE UNTIL must be formatted as YYYYMMDD');
+    rule.until = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]), 23, 59, 59, 999);
+  }
+
+  return rule;
+};
+
+// Flatten a template's recurrence settings into a single rule object
+const resolveRule = (recurrence) => {
+  if (recurrence.frequency === 'rrule') {
+    return parseRRule(recurrence.rrule);
+  }
+
+  return {
+    frequency: recurrence.frequency,
+    interval: recurrence.interval || 1,
+    daysOfWeek: recurrence.daysOfWeek && recurrence.daysOfWeek.length ? recurrence.daysOfWeek : undefined,
+    dayOfMonth: recurrence.dayOfMonth
+  };
+};
+
+// Whole calendar days between two dates, immune to DST shifts
+const daysBetween = (from, to) => {
+  return Math.round(
+    (Date.UTC(to.getFullYear(), to.getMonth(), to.getDate()) -
+      Date.UTC(from.getFullYear(), from.getMonth(), from.getDate())) / DAY_MS
+  );
+};
+
+const startOfWeek = (date) => {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  start.setDate(start.getDate() - start.getDay());
+  return start;
+};
+
+const matchesRule = (rule, anchor, date) => {
+  switch (rule.frequency) {
+    case 'daily':
+      return daysBetween(anchor, date) % rule.interval === 0;
+
+    case 'weekly': {
+      const weeks = Math.round(daysBetween(startOfWeek(anchor), startOfWeek(date)) / 7);
+      const days = rule.daysOfWeek || [anchor.getDay()];
+      return weeks % rule.interval === 0 && days.includes(date.getDay());
+    }
+
+    case 'monthly': {
+      const months = (date.getFullYear() - anchor.getFullYear()) * 12 + date.getMonth() - anchor.getMonth();
+      const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+      const wanted = rule.dayOfMonth || anchor.getDate();
+      // Days past the end of a short month fall on its last day
+      const day = wanted === -1 ? lastDay : Math.min(wanted, lastDay);
+      return months % rule.interval === 0 && date.getDate() === day;
+    }
+
+    default:
+      return false;
+  }
+};
+
+// Apply "HH:mm" to a date
+const atTimeOfDay = (date, timeOfDay) => {
+  const [hours, minutes] = String(timeOfDay || '09:00').split(':').map(Number);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate(), hours || 0, minutes || 0, 0, 0);
+};
+
+// First occurrence of the template strictly after `after`, or null when the series has ended
+const nextOccurrence = (template, after) => {
+  const rule = resolveRule(template.recurrence);
+  const anchor = atTimeOfDay(new Date(template.startDate), template.timeOfDay);
+  const endDate = [template.endDate, rule.until].filter(Boolean).map((d) => new Date(d));
+
+  if (rule.count && (template.occurrenceCount || 0) >= rule.count) return null;
+
+  let day = new Date(Math.max(anchor.getTime(), after.getTime()));
+  day = new Date(day.getFullYear(), day.getMonth(), day.getDate());
+
+  for (let i = 0; i < MAX_LOOKAHEAD_DAYS; i++) {
+    const candidate = atTimeOfDay(day, template.timeOfDay);
+
+    if (endDate.some((end) => candidate > end)) return null;
+
+    if (candidate > after && candidate >= anchor && matchesRule(rule, anchor, candidate)) {
+      return candidate;
+    }
+
+    day.setDate(day.getDate() + 1);
+  }
+
+  return null;
+};
+
+// Upcoming occurrences for previews (skipped dates are still listed)
+const upcomingOccurrences = (template, from, limit = 5) => {
+  const occurrences = [];
+  const preview = {
+    ...(template.toObject ? template.toObject() : template),
+    occurrenceCount: template.occurrenceCount || 0
+  };
+  let cursor = from;
+
+  while (occurrences.length < limit) {
+    const next = nextOccurrence(preview, cursor);
+    if (!next) break;
+
+    occurrences.push(next);
+    preview.occurrenceCount += 1;
+    cursor = next;
+  }
+
+  return occurrences;
+};
+
+const isSameDay = (a, b) => daysBetween(a, b) === 0;
+
+exports.parseRRule = parseRRule;
+exports.resolveRule = resolveRule;
+exports.nextOccurrence = nextOccurrence;
+exports.upcomingOccurrences = upcomingOccurrences;
+exports.isSameDay = isSameDay;
@@ -0,0 +1,161 @@
+const Task = require('../models/Task');
+const TaskTemplate = require('../models/TaskTemplate');
+const User = require('../models/User');
+const { sendTaskNotification } = require('./emailService');
+const { logActivity } = require('./activityLogger');
+const { nextOccurrence, isSameDay } = require('./recurrence');
+const { isAssignable } = require('./permissions');
+const { publishTaskEvent } = require('./eventBus');
+const { notify } = require('./notificationService');
+
+// Creators in the trash still own their templates' tasks
+const CREATED_BY = { path: 'createdBy', select: 'name email role', options: { withDeleted: true } };
+
+// Create the concrete task for one occurrence of a template
+const generateTask = async (template, occurrence) => {
+  if (!template.createdBy) {
+    console.warn(`Recurring template ${template._id}: creator no longer exists, occurrence skipped`);
+    return null;
+  }
+
+  const assignee = await User.findById(template.assignedTo);
+
+  if (!(await isAssignable(assignee)) || !assignee.isActive) {
+    console.warn(`Recurring template ${template._id}: assignee is not an active employee, occurrence skipped`);
+    return null;
+  }
+
+  const deadline = new Date(occurrence.getTime() + template.deadlineOffsetHours * 60 * 60 * 1000);
+
+  const task = await Task.create({
+    title: template.title,
+    description: template.description,
+    assignedTo: assignee._id,
+    assignedBy: template.createdBy._id,
+    project: template.project,
+    priority: template.priority,
+    deadline,
+    startDate: occurrence,
+    tags: template.tags,
+    checklist: template.checklist.map((text) => ({ text })),
+    template: template._id,
+    occurrenceDate: occurrence
+  });
+
+  await logActivity({
+    actor: template.createdBy,
+    entityType: 'Task',
+    entityId: task._id,
+    action: 'create',
+    after: task,
+    metadata: { template: template._id, occurrence }
+  });
+  publishTaskEvent('task.created', task, { actor: template.createdBy, data: { template: template._id } });
+
+  // Notify the assignee (async, don't wait)
+  notify({
+    user: assignee,
+    type: 'task.assigned',
+    title: `New task assigned: ${task.title}`,
+    message: 'A recurring task was created for you.',
+    task,
+    actor: template.createdBy,
+    data: { template: template._id },
+    sendEmail: (recipient) => sendTaskNotification(recipient, {
+      taskTitle: task.title,
+      assignedBy: template.createdBy.name,
+      deadline,
+      priority: task.priority
+    })
+  });
+
+  return task;
+};
+
+// Work through every occurrence of a template that is due. Each occurrence is
+// claimed by moving nextRunAt forward atomically, so it is processed only once.
+const processTemplate = async (template, now) => {
+  let generated = 0;
+  let current = template;
+
+  while (current && current.nextRunAt && current.nextRunAt <= now) {
+    const occurrence = current.nextRunAt;
+    const next = nextOccurrence(
+      { ...current.toObject(), occurrenceCount: current.occurrenceCount + 1 },
+      occurrence
+    );
+
+    const claimed = await TaskTemplate.findOneAndUpdate(
+      { _id: current._id, nextRunAt: occurrence, isPaused: false },
+      { nextRunAt: next, lastRunAt: now, $inc: { occurrenceCount: 1 } },
+      { new: true }
+    ).populate(CREATED_BY);
+
+    if (!claimed) break;
+
+    const deadline = new Date(occurrence.getTime() + claimed.deadlineOffsetHours * 60 * 60 * 1000);
+
+    if (claimed.skipDates.some((date) => isSameDay(date, occurrence))) {
+      console.log(`Recurring template ${claimed._id}: skipped occurrence ${occurrence.toISOString()}`);
+    } else if (deadline <= now) {
+      // Missed while the server was down and already past its deadline
+      console.warn(`Recurring template ${claimed._id}: missed occurrence ${occurrence.toISOString()}`);
+    } else {
+      try {
+        if (await generateTask(claimed, occurrence)) generated += 1;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    current = claimed;
+  }
+
+  return generated;
+};
+
+let running = false;
+
+// Generate tasks for all templates that are due
+const runRecurringTasks = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const now = new Date();
+    const templates = await TaskTemplate.find({ isPaused: false, nextRunAt: { $lte: now } })
+      .populate(CREATED_BY);
+
+    let generated = 0;
+    for (const template of templates) {
+      try {
+        generated += await processTemplate(template, now);
+      } catch (error) {
+        console.error(`Recurring template ${template._id} error:`, error);
+      }
+    }
+
+    if (generated) {
+      console.log(`🔁 Generated ${generated} recurring task(s)`);
+    }
+  } catch (error) {
+    console.error('Recurring task scheduler error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Start the in-process scheduler (disable with RECURRING_TASKS_ENABLED=false)
+exports.startRecurringTaskScheduler = () => {
+  if (process.env.RECURRING_TASKS_ENABLED === 'false') {
+    console.log('Recurring task scheduler disabled.');
+    return null;
+  }
+
+  const minutes = parseInt(process.env.RECURRING_INTERVAL_MINUTES, 10) || 5;
+
+  runRecurringTasks();
+  return setInterval(runRecurringTasks, minutes * 60 * 1000);
+};
+
+exports.runRecurringTasks = runRecurringTasks;
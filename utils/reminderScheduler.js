@@ -0,0 +1,187 @@
+const Task = require('../models/Task');
+const { sendTaskReminder, sendOverdueEscalation } = require('./emailService');
+const { notify } = require('./notificationService');
+
+const OPEN_STATUSES = ['pending', 'in-progress'];
+const OVERDUE_KIND = 'overdue';
+
+const DURATION_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+// Parse durations such as "30m", "1h" or "2d" into milliseconds
+const parseDuration = (value) => {
+  const match = /^(\d+)\s*([mhd])$/i.exec(String(value).trim());
+  if (!match) return null;
+  return parseInt(match[1], 10) * DURATION_UNITS[match[2].toLowerCase()];
+};
+
+// Lead times from REMINDER_LEAD_TIMES (e.g. "24h,1h"), widest first
+const getLeadTimes = () => {
+  return (process.env.REMINDER_LEAD_TIMES || '24h,1h')
+    .split(',')
+    .map((label) => label.trim())
+    .filter(Boolean)
+    .map((label) => ({ label, kind: `lead:${label}`, ms: parseDuration(label) }))
+    .filter((lead) => {
+      if (!lead.ms) console.warn(`Ignoring invalid reminder lead time "${lead.label}"`);
+      return lead.ms;
+    })
+    .sort((a, b) => b.ms - a.ms);
+};
+
+// Record reminder kinds on the task before sending. The update only matches when
+// none of the kinds were recorded yet, so a reminder can never be claimed twice.
+const claimReminder = async (taskId, kinds) => {
+  const result = await Task.updateOne(
+    { _id: taskId, 'reminders.kind': { $nin: kinds } },
+    { $push: { reminders: { $each: kinds.map((kind) => ({ kind, sentAt: new Date() })) } } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Give up a claim when nothing could be delivered so the next run retries it
+const releaseReminder = (taskId, kinds) => {
+  return Task.updateOne(
+    { _id: taskId },
+    { $pull: { reminders: { kind: { $in: kinds } } } }
+  );
+};
+
+// A reminder is done once it reached the user through any channel, or there is nobody to remind
+const isDelivered = (result) => result.skipped || Boolean(result.notification) || result.emailed === true;
+
+const sendDeadlineReminders = async (now) => {
+  const leadTimes = getLeadTimes();
+  if (!leadTimes.length) return 0;
+
+  const tasks = await Task.find({
+    status: { $in: OPEN_STATUSES },
+    deadline: { $gt: now, $lte: new Date(now.getTime() + leadTimes[0].ms) }
+  }).populate('assignedTo', 'name email');
+
+  let sent = 0;
+
+  for (const task of tasks) {
+    if (!task.assignedTo) continue;
+
+    const remaining = task.deadline.getTime() - now.getTime();
+    const recorded = new Set(task.reminders.map((reminder) => reminder.kind));
+    const due = leadTimes.filter((lead) => remaining <= lead.ms && !recorded.has(lead.kind));
+
+    if (!due.length) continue;
+
+    // Only the tightest lead time is emailed; wider windows that were missed
+    // (e.g. a task created an hour before its deadline) are recorded as covered.
+    const kinds = due.map((lead) => lead.kind);
+    if (!(await claimReminder(task._id, kinds))) continue;
+
+    const dueIn = due[due.length - 1].label;
+    const result = await notify({
+      user: task.assignedTo,
+      type: 'task.deadline',
+      title: `Due in ${dueIn}: ${task.title}`,
+      message: `This task is due on ${task.deadline.toLocaleString()}.`,
+      task,
+      data: { dueIn, deadline: task.deadline },
+      sendEmail: (recipient) => sendTaskReminder(recipient, {
+        taskTitle: task.title,
+        assigneeName: recipient.name,
+        dueIn,
+        deadline: task.deadline,
+        priority: task.priority,
+        status: task.status
+      })
+    });
+
+    if (isDelivered(result)) {
+      sent += 1;
+    } else {
+      await releaseReminder(task._id, kinds);
+    }
+  }
+
+  return sent;
+};
+
+const sendOverdueEscalations = async (now) => {
+  const tasks = await Task.find({
+    status: { $in: OPEN_STATUSES },
+    deadline: { $lte: now },
+    'reminders.kind': { $ne: OVERDUE_KIND }
+  })
+    .populate('assignedTo', 'name email')
+    .populate('assignedBy', 'name email');
+
+  let sent = 0;
+
+  for (const task of tasks) {
+    if (!task.assignedBy) continue;
+    if (!(await claimReminder(task._id, [OVERDUE_KIND]))) continue;
+
+    const assigneeName = task.assignedTo ? task.assignedTo.name : 'an employee';
+    const result = await notify({
+      user: task.assignedBy,
+      type: 'task.overdue',
+      title: `Overdue: ${task.title}`,
+      message: `The task assigned to ${assigneeName} passed its deadline.`,
+      task,
+      data: { deadline: task.deadline },
+      sendEmail: (recipient) => sendOverdueEscalation(recipient, {
+        taskTitle: task.title,
+        assigneeName,
+        deadline: task.deadline,
+        priority: task.priority,
+        status: task.status
+      })
+    });
+
+    if (isDelivered(result)) {
+      sent += 1;
+    } else {
+      await releaseReminder(task._id, [OVERDUE_KIND]);
+    }
+  }
+
+  return sent;
+};
+
+let running = false;
+
+// Run a single scan over all open tasks
+const runReminderCheck = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const now = new Date();
+    const reminders = await sendDeadlineReminders(now);
+    const escalations = await sendOverdueEscalations(now);
+
+    if (reminders || escalations) {
+      console.log(`⏰ Sent ${reminders} deadline reminder(s) and ${escalations} overdue escalation(s)`);
+    }
+  } catch (error) {
+    console.error('Reminder scheduler error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Start the in-process scheduler (disable with REMINDERS_ENABLED=false)
+exports.startReminderScheduler = () => {
+  if (process.env.REMINDERS_ENABLED === 'false') {
+    console.log('Reminder scheduler disabled.');
+    return null;
+  }
+
+  const minutes = parseInt(process.env.REMINDER_INTERVAL_MINUTES, 10) || 5;
+
+  runReminderCheck();
+  return setInterval(runReminderCheck, minutes * 60 * 1000);
+};
+
+exports.runReminderCheck = runReminderCheck;
+exports.parseDuration = parseDuration;
@@ -0,0 +1,25 @@
+// Pluggable file storage. Every backend exposes the same interface:
+//   save({ buffer, originalname, mimetype, folder }) -> { key }
+//   createReadStream(key) -> Readable
+//   remove(key)
+const backends = {
+  local: () => require('./localStorage')
+};
+
+let storage;
+
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+
+    if (!backends[driver]) {
+      throw new Error(`Unknown storage driver '${driver}'`);
+    }
+
+    storage = backends[driver]();
+  }
+
+  return storage;
+};
+
+module.exports = getStorage;
@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Stores files on the local disk under UPLOAD_DIR (defaults to ./uploads)
+const getRoot = () => path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads'));
+
+// Keys are generated here, but still guard against paths escaping the upload root
+const resolveKey = (key) => {
+  const root = getRoot();
+  const filePath = path.resolve(root, key);
+
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error('Invalid storage key');
+  }
+
+  return filePath;
+};
+
+exports.save = async ({ buffer, originalname, folder }) => {
+  const ext = path.extname(originalname || '').toLowerCase();
+  const key = path.posix.join(folder || '', `${crypto.randomBytes(16).toString('hex')}${ext}`);
+  const filePath = resolveKey(key);
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer);
+
+  return { key };
+};
+
+exports.createReadStream = async (key) => {
+  const filePath = resolveKey(key);
+  await fs.promises.access(filePath, fs.constants.R_OK);
+  return fs.createReadStream(filePath);
+};
+
+exports.remove = async (key) => {
+  try {
+    await fs.promises.unlink(resolveKey(key));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
@@ -0,0 +1,114 @@
+const User = require('../models/User');
+const Team = require('../models/Team');
+const { getScope, rolesWithPermission, SCOPE_PERMISSIONS } = require('./permissions');
+
+// Resolve an ObjectId whether the reference is populated or not
+const refId = (ref) => {
+  if (!ref) return null;
+  return String(ref._id || ref);
+};
+
+// Users a team-scoped user (e.g. a manager) looks after: the employees of their
+// department plus members of the teams they manage. Cached on the request's user document.
+const getManagedUserIds = async (user) => {
+  if (user.$locals && user.$locals.managedUserIds) return user.$locals.managedUserIds;
+
+  const teams = await Team.find({ managers: user.id }).select('members');
+  const teamMemberIds = teams.flatMap((team) => team.members);
+
+  // Colleagues who supervise others themselves are only managed through a team
+  const supervisorRoles = await rolesWithPermission(...SCOPE_PERMISSIONS);
+  const adminRoles = await rolesWithPermission('scope:all');
+
+  const ids = await User.find({
+    _id: { $ne: user.id },
+    role: { $nin: adminRoles },
+    $or: [
+      { department: user.department, role: { $nin: supervisorRoles } },
+      { _id: { $in: teamMemberIds } }
+    ]
+  }).distinct('_id');
+
+  if (user.$locals) user.$locals.managedUserIds = ids;
+  return ids;
+};
+
+const isManagedUser = async (user, userId) => {
+  const ids = await getManagedUserIds(user);
+  return ids.some((id) => String(id) === String(userId));
+};
+
+// Filter limiting task queries to what a user may see, following their scope
+// permission: everything, their department/team and themselves, or their own tasks
+const taskScopeQuery = async (user) => {
+  const scope = getScope(user);
+  if (scope === 'all') return {};
+  if (scope === 'team') {
+    return { assignedTo: { $in: [...(await getManagedUserIds(user)), user._id] } };
+  }
+  return { assignedTo: user.id };
+};
+
+// Filter limiting user queries in the same way
+const userScopeQuery = async (user) => {
+  const scope = getScope(user);
+  if (scope === 'all') return {};
+  if (scope === 'team') return { _id: { $in: [...(await getManagedUserIds(user)), user._id] } };
+  return { _id: user.id };
+};
+
+// User query for staff (everyone except holders of scope:all roles, i.e. admins) in the user's scope
+const staffScopeQuery = async (user) => ({
+  ...(await userScopeQuery(user)),
+  role: { $nin: await rolesWithPermission('scope:all') }
+});
+
+// Whether a user may view another user's profile under the same rules
+const canAccessUser = async (user, userId) => {
+  const scope = getScope(user);
+  if (scope === 'all' || String(userId) === String(user.id)) return true;
+  return scope === 'team' && isManagedUser(user, userId);
+};
+
+// Whether a user may change or remove another user: someone they may view who
+// does not hold a scope:all role, unless they hold one themselves
+const canManageUser = async (user, target) => {
+  if (!(await canAccessUser(user, target._id))) return false;
+  if (getScope(user) === 'all') return true;
+  return !(await rolesWithPermission('scope:all')).includes(target.role);
+};
+
+// Narrow a scoped task query to one assignee, matching nothing if they are out of scope
+const withAssignee = (scope, assignedTo) => {
+  if (!scope.assignedTo) return { ...scope, assignedTo };
+
+  const allowed = scope.assignedTo.$in ? scope.assignedTo.$in.map(String) : [String(scope.assignedTo)];
+  return { ...scope, assignedTo: allowed.includes(String(assignedTo)) ? assignedTo : { $in: [] } };
+};
+
+// Same rule getTask applies: everything, the tasks of the people the user
+// manages (or assigned themselves), or only their own tasks
+const canAccessTask = async (task, user) => {
+  const scope = getScope(user);
+  if (scope === 'all') return true;
+
+  const assigneeId = refId(task.assignedTo);
+  if (assigneeId === String(user.id)) return true;
+
+  if (scope === 'team') {
+    return refId(task.assignedBy) === String(user.id) || isManagedUser(user, assigneeId);
+  }
+
+  return false;
+};
+
+exports.refId = refId;
+exports.getManagedUserIds = getManagedUserIds;
+exports.isManagedUser = isManagedUser;
+exports.taskScopeQuery = taskScopeQuery;
+exports.userScopeQuery = userScopeQuery;
+exports.staffScopeQuery = staffScopeQuery;
+exports.canAccessUser = canAccessUser;
+exports.canManageUser = canManageUser;
+exports.withAssignee = withAssignee;
+exports.canAccessTask = canAccessTask;
@@ -0,0 +1,146 @@
+const Task = require('../models/Task');
+const { sendTaskUnblockedNotification } = require('./emailService');
+const { notify } = require('./notificationService');
+
+// Blockers in these states no longer hold up their dependents
+const RESOLVED_STATUSES = ['completed', 'cancelled'];
+
+const getOpenBlockers = (task) => {
+  if (!task.dependsOn || !task.dependsOn.length) return Promise.resolve([]);
+
+  return Task.find({ _id: { $in: task.dependsOn }, status: { $nin: RESOLVED_STATUSES } })
+    .select('title status assignedTo deadline');
+};
+
+// Recompute the stored blocked flag, returns the new value
+const refreshBlocked = async (taskId) => {
+  const task = await Task.findById(taskId).select('dependsOn blocked');
+  if (!task) return false;
+
+  const blocked = (await getOpenBlockers(task)).length > 0;
+  if (blocked !== task.blocked) {
+    await Task.updateOne({ _id: task._id }, { blocked });
+  }
+
+  return blocked;
+};
+
+// True when `taskId` is reachable from `dependencyId` through dependsOn links,
+// i.e. adding "taskId depends on dependencyId" would close a loop
+const wouldCreateDependencyCycle = async (taskId, dependencyId) => {
+  const target = String(taskId);
+  const visited = new Set();
+  let frontier = [dependencyId];
+
+  while (frontier.length) {
+    const ids = frontier.map(String).filter((id) => !visited.has(id));
+    if (ids.includes(target)) return true;
+
+    ids.forEach((id) => visited.add(id));
+    if (!ids.length) break;
+
+    const tasks = await Task.find({ _id: { $in: ids } }).select('dependsOn');
+    frontier = tasks.flatMap((task) => task.dependsOn);
+  }
+
+  return false;
+};
+
+// Update dependents after a blocker changes status. When a blocker completes,
+// assignees whose task is now unblocked are notified through their chosen channels.
+const handleBlockerStatusChange = async (blocker, actor) => {
+  const dependents = await Task.find({ dependsOn: blocker._id })
+    .populate('assignedTo', 'name email locale');
+
+  for (const dependent of dependents) {
+    const wasBlocked = dependent.blocked;
+    const blocked = await refreshBlocked(dependent._id);
+
+    if (wasBlocked && !blocked && blocker.status === 'completed' && dependent.assignedTo) {
+      // (async, don't wait)
+      notify({
+        user: dependent.assignedTo,
+        type: 'task.unblocked',
+        title: `Task unblocked: ${dependent.title}`,
+        message: `${blocker.title} was completed, you can start working on this task.`,
+        task: dependent,
+        actor,
+        data: { blocker: blocker._id },
+        sendEmail: (recipient) => sendTaskUnblockedNotification(recipient, {
+          taskTitle: dependent.title,
+          blockerTitle: blocker.title,
+          assigneeName: recipient.name,
+          priority: dependent.priority,
+          deadline: dependent.deadline
+        })
+      });
+    }
+  }
+};
+
+// Recompute the blocked flag of the tasks depending on a task, e.g. after it
+// was moved to or restored from the trash (trashed blockers hold nobody up)
+const refreshDependents = async (taskId) => {
+  const dependents = await Task.find({ dependsOn: taskId }).select('_id');
+  await Promise.all(dependents.map((dependent) => refreshBlocked(dependent._id)));
+};
+
+// Drop a permanently deleted task from every dependency list, trashed tasks included
+const removeDependencyLinks = async (taskId) => {
+  await Task.updateMany({ dependsOn: taskId }, { $pull: { dependsOn: taskId } });
+  await refreshDependents(taskId);
+};
+
+// Nodes and blocker -> dependent edges for the tasks matching `query`.
+// Tasks outside the query that are linked to it are included as external nodes.
+const buildDependencyGraph = async (query) => {
+  const tasks = await Task.find(query)
+    .select('title status priority deadline assignedTo dependsOn blocked')
+    .populate('assignedTo', 'name email');
+
+  const ids = new Set(tasks.map((task) => String(task._id)));
+  const dependents = await Task.find({ dependsOn: { $in: [...ids] }, _id: { $nin: [...ids] } })
+    .select('title status priority deadline assignedTo dependsOn blocked')
+    .populate('assignedTo', 'name email');
+
+  const linkedIds = tasks
+    .flatMap((task) => task.dependsOn.map(String))
+    .filter((id) => !ids.has(id));
+  const blockers = await Task.find({ _id: { $in: linkedIds } })
+    .select('title status priority deadline assignedTo dependsOn blocked')
+    .populate('assignedTo', 'name email');
+
+  const toNode = (task, external) => ({
+    id: task._id,
+    title: task.title,
+    status: task.status,
+    priority: task.priority,
+    deadline: task.deadline,
+    assignedTo: task.assignedTo,
+    blocked: task.blocked,
+    external
+  });
+
+  const nodes = [
+    ...tasks.map((task) => toNode(task, false)),
+    ...[...blockers, ...dependents]
+      .filter((task, index, all) => all.findIndex((other) => other._id.equals(task._id)) === index)
+      .map((task) => toNode(task, true))
+  ];
+  const nodeIds = new Set(nodes.map((node) => String(node.id)));
+
+  const edges = [...tasks, ...dependents].flatMap((task) => task.dependsOn
+    .filter((blockerId) => nodeIds.has(String(blockerId)))
+    .map((blockerId) => ({ from: blockerId, to: task._id })));
+
+  return { nodes, edges };
+};
+
+exports.RESOLVED_STATUSES = RESOLVED_STATUSES;
+exports.getOpenBlockers = getOpenBlockers;
+exports.refreshBlocked = refreshBlocked;
+exports.wouldCreateDependencyCycle = wouldCreateDependencyCycle;
+exports.handleBlockerStatusChange = handleBlockerStatusChange;
+exports.refreshDependents = refreshDependents;
+exports.removeDependencyLinks = removeDependencyLinks;
+exports.buildDependencyGraph = buildDependencyGraph;
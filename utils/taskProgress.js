@@ -0,0 +1,70 @@
+const Task = require('../models/Task');
+
+const OPEN_STATUSES = ['pending', 'in-progress'];
+
+// Progress of a single task: the average of its non-cancelled subtasks,
+// otherwise the share of ticked checklist items, otherwise 0/100 by status.
+const computeProgress = async (task) => {
+  if (task.status === 'completed') return 100;
+
+  const children = await Task.find({ parent: task._id, status: { $ne: 'cancelled' } })
+    .select('progress status');
+
+  if (children.length) {
+    const total = children.reduce((sum, child) => sum + (child.status === 'completed' ? 100 : child.progress || 0), 0);
+    return Math.round(total / children.length);
+  }
+
+  if (task.checklist && task.checklist.length) {
+    const done = task.checklist.filter((item) => item.done).length;
+    return Math.round((done / task.checklist.length) * 100);
+  }
+
+  return 0;
+};
+
+// Recompute progress for a task and roll it up through all of its ancestors
+const refreshProgress = async (taskId) => {
+  const visited = new Set();
+  let currentId = taskId;
+
+  while (currentId && !visited.has(String(currentId))) {
+    visited.add(String(currentId));
+
+    const task = await Task.findById(currentId).select('status checklist progress parent');
+    if (!task) return;
+
+    const progress = await computeProgress(task);
+    if (progress !== task.progress) {
+      await Task.updateOne({ _id: task._id }, { progress });
+    }
+
+    currentId = task.parent;
+  }
+};
+
+const hasOpenSubtasks = (taskId) => {
+  return Task.exists({ parent: taskId, status: { $in: OPEN_STATUSES } });
+};
+
+// True when `parentId` is `taskId` itself or one of its descendants,
+// i.e. making it the parent of `taskId` would create a loop
+const wouldCreateCycle = async (taskId, parentId) => {
+  const visited = new Set();
+  let currentId = parentId;
+
+  while (currentId && !visited.has(String(currentId))) {
+    if (String(currentId) === String(taskId)) return true;
+    visited.add(String(currentId));
+
+    const current = await Task.findById(currentId).select('parent');
+    currentId = current ? current.parent : null;
+  }
+
+  return false;
+};
+
+exports.computeProgress = computeProgress;
+exports.refreshProgress = refreshProgress;
+exports.hasOpenSubtasks = hasOpenSubtasks;
+exports.wouldCreateCycle = wouldCreateCycle;
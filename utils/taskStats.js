@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+
+// Aggregation pipelines are not cast by Mongoose, so ObjectId filters given as strings are converted here
+const castMatch = (query) => {
+  return Object.keys(query).reduce((match, key) => {
+    const value = query[key];
+    match[key] = typeof value === 'string' && ['assignedTo', 'assignedBy', 'project'].includes(key) && mongoose.isValidObjectId(value)
+      ? new mongoose.Types.ObjectId(value)
+      : value;
+    return match;
+  }, {});
+};
+
+// Task counts, completion rate, priority distribution and 7-day trend for the tasks matching `query`
+exports.computeTaskStats = async (query = {}) => {
+  const match = castMatch(query);
+
+  const totalTasks = await Task.countDocuments(query);
+  const completedTasks = await Task.countDocuments({ ...query, status: 'completed' });
+  const pendingTasks = await Task.countDocuments({ ...query, status: 'pending' });
+  const inProgressTasks = await Task.countDocuments({ ...query, status: 'in-progress' });
+
+  // Get overdue tasks
+  const overdueTasks = await Task.countDocuments({
+    ...query,
+    status: { $ne: 'completed' },
+    deadline: { $lt: new Date() }
+  });
+
+  // Priority distribution
+  const priorityStats = await Task.aggregate([
+    { $match: match },
+    { $group: { _id: '$priority', count: { $sum: 1 } } }
+  ]);
+
+  // Tasks by status over time (last 7 days)
+  const sevenDaysAgo = new Date();
+  sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+
+  const taskTrends = await Task.aggregate([
+    {
+      $match: {
+        ...match,
+        createdAt: { $gte: sevenDaysAgo }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+          status: '$status'
+        },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { '_id.date': 1 } }
+  ]);
+
+  return {
+    totalTasks,
+    completedTasks,
+    pendingTasks,
+    inProgressTasks,
+    overdueTasks,
+    completionRate: totalTasks > 0 ? ((completedTasks / totalTasks) * 100).toFixed(2) : 0,
+    priorityStats,
+    taskTrends
+  };
+};
+
+exports.castMatch = castMatch;
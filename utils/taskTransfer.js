@@ -0,0 +1,123 @@
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { isAssignable } = require('./permissions');
+const { canAccessUser } = require('./taskAccess');
+const { logActivity } = require('./activityLogger');
+const { notify } = require('./notificationService');
+const { publishTaskEvent } = require('./eventBus');
+const { sendTaskNotification, sendTaskReassignedNotification } = require('./emailService');
+
+const OPEN_STATUSES = ['pending', 'in-progress'];
+
+// New assignee of a reassignment as { assignee }, or { error: { status, message } }
+// when the actor may not hand tasks to them
+const findNewAssignee = async (actor, userId) => {
+  const assignee = await User.findById(userId);
+
+  // Tasks only go to active employees the actor may assign to
+  if (!(await isAssignable(assignee)) || !assignee.isActive) {
+    return { error: { status: 400, message: 'Invalid employee ID' } };
+  }
+
+  if (!(await canAccessUser(actor, assignee._id))) {
+    return { error: { status: 403, message: 'Not authorized to assign tasks to this employee' } };
+  }
+
+  return { assignee };
+};
+
+// Hand a task to another employee. Comments, checklist, time entries and
+// activity stay with the task; the move itself is added to its assignment history.
+const transferTask = async (task, assignee, { req, actor, reason, notifyPrevious = true }) => {
+  const previousAssignee = task.assignedTo;
+
+  const updated = await Task.findByIdAndUpdate(
+    task._id,
+    {
+      assignedTo: assignee._id,
+      $push: {
+        assignmentHistory: { from: previousAssignee, to: assignee._id, by: actor._id, reason }
+      }
+    },
+    { new: true }
+  )
+    .populate('assignedTo', 'name email department')
+    .populate('assignedBy', 'name email');
+
+  await logActivity({
+    req,
+    actor,
+    entityType: 'Task',
+    entityId: task._id,
+    action: 'reassign',
+    before: { assignedTo: previousAssignee },
+    after: { assignedTo: assignee._id },
+    metadata: reason ? { reason } : undefined
+  });
+
+  // Tell the new assignee about the task and the previous one that it moved away (async, don't wait)
+  notify({
+    user: assignee,
+    type: 'task.assigned',
+    title: `New task assigned: ${updated.title}`,
+    message: `${actor.name} assigned you a task.`,
+    task: updated,
+    actor,
+    sendEmail: (recipient) => sendTaskNotification(recipient, {
+      taskTitle: updated.title,
+      assignedBy: actor.name,
+      deadline: updated.deadline,
+      priority: updated.priority
+    })
+  });
+
+  if (notifyPrevious && String(previousAssignee) !== String(actor._id)) {
+    notify({
+      user: previousAssignee,
+      type: 'task.unassigned',
+      title: `Task reassigned: ${updated.title}`,
+      message: `${actor.name} reassigned the task to ${assignee.name}.`,
+      task: updated,
+      actor,
+      data: { assignedTo: String(assignee._id), reason },
+      sendEmail: (recipient) => sendTaskReassignedNotification(recipient, {
+        taskTitle: updated.title,
+        reassignedBy: actor.name,
+        newAssignee: assignee.name,
+        deadline: updated.deadline,
+        priority: updated.priority
+      })
+    });
+  }
+
+  // The previous assignee still hears that the task moved away from them
+  publishTaskEvent('task.updated', updated, {
+    actor,
+    data: { previousAssignedTo: String(previousAssignee) }
+  });
+
+  return updated;
+};
+
+// Hand every open task of one user to another, returning the moved tasks
+const transferOpenTasks = async (fromUserId, assignee, options) => {
+  const tasks = await Task.find({ assignedTo: fromUserId, status: { $in: OPEN_STATUSES } })
+    .select('title assignedTo');
+
+  const moved = [];
+  for (const task of tasks) {
+    moved.push(await transferTask(task, assignee, options));
+  }
+
+  return moved;
+};
+
+const countOpenTasks = (userId) => {
+  return Task.countDocuments({ assignedTo: userId, status: { $in: OPEN_STATUSES } });
+};
+
+exports.OPEN_STATUSES = OPEN_STATUSES;
+exports.findNewAssignee = findNewAssignee;
+exports.transferTask = transferTask;
+exports.transferOpenTasks = transferOpenTasks;
+exports.countOpenTasks = countOpenTasks;
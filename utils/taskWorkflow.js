@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const { hasPermission } = require('./permissions');
+
+// Allowed status transitions per role: { role: { fromStatus: [toStatus, ...] } }.
+// Roles without an entry of their own follow the admin rules when they hold the
+// task:cancel permission and the employee rules otherwise.
+// Override with a JSON file of the same shape via TASK_WORKFLOW_FILE.
+const DEFAULT_TRANSITIONS = {
+  employee: {
+    pending: ['in-progress'],
+    'in-progress': ['pending', 'completed']
+  },
+  admin: {
+    pending: ['in-progress', 'completed', 'cancelled'],
+    'in-progress': ['pending', 'completed', 'cancelled'],
+    completed: ['in-progress'],
+    cancelled: ['pending']
+  }
+};
+
+const loadTransitions = () => {
+  if (!process.env.TASK_WORKFLOW_FILE) return DEFAULT_TRANSITIONS;
+
+  try {
+    const file = path.resolve(process.env.TASK_WORKFLOW_FILE);
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.error('Invalid TASK_WORKFLOW_FILE, using default workflow:', error.message);
+    return DEFAULT_TRANSITIONS;
+  }
+};
+
+const transitions = loadTransitions();
+
+const getUserTransitions = (user) => {
+  return transitions[user.role] || transitions[hasPermission(user, 'task:cancel') ? 'admin' : 'employee'] || {};
+};
+
+// Statuses a user may move a task to from its current status
+const getAllowedTransitions = (user, from) => {
+  return getUserTransitions(user)[from] || [];
+};
+
+const canTransition = (user, from, to) => {
+  return getAllowedTransitions(user, from).includes(to);
+};
+
+// Fields to set alongside a status change, plus the change to the assignee's
+// completed-task counter (+1 when completing, -1 when reopening)
+const getStatusChangeEffects = (from, to) => {
+  const effects = { set: { status: to }, unset: {}, completedDelta: 0 };
+
+  if (to === 'completed' && from !== 'completed') {
+    effects.set.completedDate = new Date();
+    effects.completedDelta = 1;
+  } else if (from === 'completed' && to !== 'completed') {
+    effects.unset.completedDate = 1;
+    effects.completedDelta = -1;
+  }
+
+  return effects;
+};
+
+exports.transitions = transitions;
+exports.getAllowedTransitions = getAllowedTransitions;
+exports.canTransition = canTransition;
+exports.getStatusChangeEffects = getStatusChangeEffects;
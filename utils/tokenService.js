@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+
+// Hash tokens before storing them so a database leak does not expose usable tokens
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Random token plus its hash
+const generateHashedToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, hashed: hashToken(token) };
+};
+
+const getRefreshExpiry = () => {
+  const days = parseFloat(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 7;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+// Issue a new refresh token for a user and return the raw value
+const issueRefreshToken = async (userId, req) => {
+  const { token, hashed } = generateHashedToken();
+
+  await RefreshToken.create({
+    user: userId,
+    tokenHash: hashed,
+    expiresAt: getRefreshExpiry(),
+    createdByIp: req ? req.ip : undefined,
+    userAgent: req ? req.get('user-agent') : undefined
+  });
+
+  return token;
+};
+
+// Exchange a refresh token for a new one. Presenting an already rotated token
+// means it was stolen or replayed, so every session of that user is revoked.
+const rotateRefreshToken = async (token, req) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+
+  if (!stored) return null;
+
+  if (stored.revokedAt) {
+    if (stored.replacedBy) {
+      await revokeAllRefreshTokens(stored.user);
+    }
+    return null;
+  }
+
+  if (stored.expiresAt <= new Date()) return null;
+
+  const { token: nextToken, hashed } = generateHashedToken();
+
+  // Only one concurrent rotation of the same token can win
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, revokedAt: null },
+    { revokedAt: new Date(), replacedBy: hashed }
+  );
+
+  if (!claimed) return null;
+
+  await RefreshToken.create({
+    user: stored.user,
+    tokenHash: hashed,
+    expiresAt: getRefreshExpiry(),
+    createdByIp: req ? req.ip : undefined,
+    userAgent: req ? req.get('user-agent') : undefined
+  });
+
+  return { userId: stored.user, refreshToken: nextToken };
+};
+
+// Revoke a single refresh token, returns the owning user id if it was active
+const revokeRefreshToken = async (token) => {
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return stored ? stored.user : null;
+};
+
+const revokeAllRefreshTokens = async (userId) => {
+  const result = await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount;
+};
+
+exports.hashToken = hashToken;
+exports.generateHashedToken = generateHashedToken;
+exports.issueRefreshToken = issueRefreshToken;
+exports.rotateRefreshToken = rotateRefreshToken;
+exports.revokeRefreshToken = revokeRefreshToken;
+exports.revokeAllRefreshTokens = revokeAllRefreshTokens;
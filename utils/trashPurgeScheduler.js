@@ -0,0 +1,169 @@
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Employee = require('../models/Employee');
+const TaskTemplate = require('../models/TaskTemplate');
+const Project = require('../models/Project');
+const Team = require('../models/Team');
+const TimeEntry = require('../models/TimeEntry');
+const Notification = require('../models/Notification');
+const RefreshToken = require('../models/RefreshToken');
+const getStorage = require('./storage');
+const { logActivity } = require('./activityLogger');
+const { removeDependencyLinks } = require('./taskDependencies');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getRetentionDays = () => parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+// When a trashed document is removed for good
+const purgeDate = (deletedAt) => new Date(deletedAt.getTime() + getRetentionDays() * DAY_MS);
+
+// Permanently remove a trashed task with its links, time entries and stored attachment files
+const purgeTask = async (task, { req } = {}) => {
+  await Task.deleteOne({ _id: task._id });
+
+  // Only now are its subtasks detached and its dependents released
+  await Task.updateMany({ parent: task._id }, { $unset: { parent: 1 } });
+  await removeDependencyLinks(task._id);
+
+  await TimeEntry.deleteMany({ task: task._id });
+  await Notification.deleteMany({ task: task._id });
+
+  await logActivity({ req, entityType: 'Task', entityId: task._id, action: 'purge', metadata: { title: task.title } });
+
+  // Remove stored attachment files (async, don't wait)
+  task.attachments
+    .filter((attachment) => attachment.key)
+    .forEach((attachment) => {
+      getStorage().remove(attachment.key)
+        .catch(err => console.error('Attachment cleanup error:', err));
+    });
+};
+
+// Records that cannot do without a user: tasks (trashed or not), time entries,
+// recurring templates, the projects and teams they created and reviews they wrote
+const isUserReferenced = async (userId) => {
+  const references = await Promise.all([
+    Task.exists({ $or: [{ assignedTo: userId }, { assignedBy: userId }] }).setOptions({ withDeleted: true }),
+    TimeEntry.exists({ user: userId }),
+    TaskTemplate.exists({ $or: [{ createdBy: userId }, { assignedTo: userId }] }),
+    Project.exists({ createdBy: userId }),
+    Team.exists({ createdBy: userId }),
+    Employee.exists({ user: { $ne: userId }, 'performance.reviews.reviewedBy': userId })
+  ]);
+
+  return references.some(Boolean);
+};
+
+// Strip a user down to what the records referring to them need. The user stays
+// trashed for good: hidden everywhere and no longer listed in the trash.
+const anonymizeUser = async (userId) => {
+  await User.updateOne({ _id: userId }, {
+    name: 'Deleted user',
+    email: `deleted-${userId}@deleted.invalid`,
+    isActive: false,
+    anonymizedAt: new Date(),
+    $unset: {
+      password: 1,
+      locale: 1,
+      notificationPreferences: 1,
+      digestPreferences: 1,
+      calendarToken: 1,
+      calendarTokenCreatedAt: 1,
+      resetPasswordToken: 1,
+      resetPasswordExpire: 1,
+      inviteToken: 1,
+      inviteExpire: 1
+    }
+  });
+  await Employee.updateOne({ user: userId }, { $unset: { position: 1, phone: 1, address: 1, skills: 1 } });
+};
+
+// Permanently remove a trashed user with their employee record, sessions,
+// notifications and team and project memberships. Users that other records
+// still refer to are anonymized instead, so those never dangle.
+const purgeUser = async (user, { req } = {}) => {
+  const referenced = await isUserReferenced(user._id);
+
+  const membership = { $or: [{ managers: user._id }, { members: user._id }] };
+  await Team.updateMany(membership, { $pull: { managers: user._id, members: user._id } });
+  await Project.updateMany(membership, { $pull: { managers: user._id, members: user._id } });
+  await RefreshToken.deleteMany({ user: user._id });
+  await Notification.deleteMany({ user: user._id });
+
+  if (referenced) {
+    await anonymizeUser(user._id);
+  } else {
+    await Employee.deleteOne({ user: user._id });
+    await User.deleteOne({ _id: user._id });
+  }
+
+  await logActivity({
+    req,
+    entityType: 'Employee',
+    entityId: user._id,
+    action: 'purge',
+    metadata: { email: user.email, anonymized: referenced }
+  });
+};
+
+let running = false;
+
+// Remove everything that has been in the trash longer than TRASH_RETENTION_DAYS
+const runTrashPurge = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const cutoff = new Date(Date.now() - getRetentionDays() * DAY_MS);
+    let purged = 0;
+
+    // Tasks first, so users only they referred to are removed rather than anonymized
+    const tasks = await Task.find({ deletedAt: { $lte: cutoff } }).select('title attachments');
+    for (const task of tasks) {
+      try {
+        await purgeTask(task);
+        purged += 1;
+      } catch (error) {
+        console.error(`Trash purge of task ${task._id} error:`, error);
+      }
+    }
+
+    const users = await User.find({ deletedAt: { $lte: cutoff }, anonymizedAt: null }).select('email');
+    for (const user of users) {
+      try {
+        await purgeUser(user);
+        purged += 1;
+      } catch (error) {
+        console.error(`Trash purge of user ${user._id} error:`, error);
+      }
+    }
+
+    if (purged) {
+      console.log(`🗑️  Purged ${purged} document(s) from the trash`);
+    }
+  } catch (error) {
+    console.error('Trash purge error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Start the in-process purge job (disable with TRASH_PURGE_ENABLED=false)
+exports.startTrashPurgeScheduler = () => {
+  if (process.env.TRASH_PURGE_ENABLED === 'false') {
+    console.log('Trash purge disabled.');
+    return null;
+  }
+
+  const minutes = parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES, 10) || 60;
+
+  runTrashPurge();
+  return setInterval(runTrashPurge, minutes * 60 * 1000);
+};
+
+exports.runTrashPurge = runTrashPurge;
+exports.purgeTask = purgeTask;
+exports.purgeUser = purgeUser;
+exports.isUserReferenced = isUserReferenced;
+exports.purgeDate = purgeDate;
@@ -0,0 +1,87 @@
+const { hasPermission } = require('./permissions');
+
+// Fields a permission lets a user write through the update endpoints of each
+// model. A role may write the fields of every permission it grants; anything
+// else in the request body is rejected instead of reaching the database.
+const WRITE_POLICIES = {
+  Task: {
+    fields: {
+      'task:status': ['status'],
+      'task:update': ['title', 'description', 'priority', 'status', 'deadline', 'estimatedHours', 'tags', 'project', 'parent']
+    },
+    // Fields that have their own endpoint
+    elsewhere: {
+      assignedTo: 'POST /api/tasks/:id/reassign',
+      checklist: '/api/tasks/:id/checklist',
+      dependsOn: '/api/tasks/:id/dependencies',
+      comments: 'POST /api/tasks/:id/comments',
+      attachments: '/api/tasks/:id/attachments'
+    }
+  },
+  Employee: {
+    fields: {
+      'employee:update': ['name', 'email', 'department', 'locale', 'position', 'phone', 'skills', 'isActive'],
+      'role:manage': ['role']
+    },
+    elsewhere: {
+      password: 'PUT /api/auth/updatepassword'
+    }
+  },
+  Profile: {
+    fields: {
+      'profile:update': ['name', 'locale']
+    },
+    elsewhere: {
+      password: 'PUT /api/auth/updatepassword'
+    }
+  }
+};
+
+// Every field a policy mentions
+const knownFields = (policy) => new Set(Object.values(policy.fields).flat());
+
+// Fields of a model the user may write
+const getWritableFields = (user, model) => {
+  const { fields } = WRITE_POLICIES[model];
+
+  return [...new Set(Object.keys(fields)
+    .filter((permission) => hasPermission(user, permission))
+    .flatMap((permission) => fields[permission]))];
+};
+
+// Check a request body against the policy of a model. Returns the first
+// problem as { status, message }, or null when every field may be written.
+const checkWritePolicy = (user, model, body) => {
+  const policy = WRITE_POLICIES[model];
+  const keys = Object.keys(body || {});
+
+  const moved = keys.find((key) => policy.elsewhere[key]);
+  if (moved) {
+    return { status: 400, message: `Field '${moved}' cannot be changed here, use ${policy.elsewhere[moved]}` };
+  }
+
+  const known = knownFields(policy);
+  const unknown = keys.filter((key) => !known.has(key));
+  if (unknown.length) {
+    return { status: 400, message: `Unknown or read-only fields: ${unknown.join(', ')}` };
+  }
+
+  const writable = getWritableFields(user, model);
+  const forbidden = keys.filter((key) => !writable.includes(key));
+  if (forbidden.length) {
+    return { status: 403, message: `Not authorized to change: ${forbidden.join(', ')}` };
+  }
+
+  return null;
+};
+
+// Only the fields that were sent, so a missing field never clears a value
+const pickDefined = (body, fields) => fields.reduce((picked, field) => {
+  if (body[field] !== undefined) picked[field] = body[field];
+  return picked;
+}, {});
+
+exports.WRITE_POLICIES = WRITE_POLICIES;
+exports.getWritableFields = getWritableFields;
+exports.checkWritePolicy = checkWritePolicy;
+exports.pickDefined = pickDefined;
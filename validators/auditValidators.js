@@ -0,0 +1,11 @@
+const { mongoId, date, text, pagination } = require('./common');
+
+exports.auditLogsSchema = {
+  ...pagination,
+  actor: mongoId('query', 'Invalid actor ID', { required: false }),
+  entityType: text('query', 'Entity type', { required: false }),
+  entityId: mongoId('query', 'Invalid entity ID', { required: false }),
+  action: text('query', 'Action', { required: false }),
+  from: date('query', 'Invalid from date', { required: false }),
+  to: date('query', 'Invalid to date', { required: false })
+};
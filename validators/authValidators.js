@@ -0,0 +1,55 @@
+const { text, email, password, locale } = require('./common');
+
+// Emailed reset and invite tokens are 32 random bytes in hex
+const tokenParam = {
+  token: {
+    in: ['params'],
+    isHexadecimal: { errorMessage: 'Invalid or expired token', bail: true },
+    isLength: { options: { min: 64, max: 64 }, errorMessage: 'Invalid or expired token' }
+  }
+};
+
+const refreshTokenBody = {
+  refreshToken: text('body', 'Refresh token')
+};
+
+exports.registerSchema = {
+  name: text('body', 'Name', { max: 100 }),
+  email: email('body'),
+  password: password('body'),
+  role: text('body', 'Role', { required: false }),
+  department: text('body', 'Department', { max: 100 })
+};
+
+exports.loginSchema = {
+  email: email('body'),
+  password: text('body', 'Password')
+};
+
+exports.refreshSchema = refreshTokenBody;
+
+exports.logoutSchema = refreshTokenBody;
+
+exports.forgotPasswordSchema = {
+  email: email('body')
+};
+
+exports.resetPasswordSchema = {
+  ...tokenParam,
+  password: password('body')
+};
+
+exports.acceptInviteSchema = {
+  ...tokenParam,
+  password: password('body')
+};
+
+exports.updatePasswordSchema = {
+  currentPassword: text('body', 'Current password'),
+  newPassword: password('body', 'New password')
+};
+
+exports.updateDetailsSchema = {
+  name: text('body', 'Name', { required: false, max: 100 }),
+  locale: locale('body')
+};
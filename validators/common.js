@@ -0,0 +1,120 @@
+// Field definitions shared by the express-validator schemas of the routes
+
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+// Optional fields may be left out; nullable ones may also be sent empty to clear them
+const optional = (nullable) => ({
+  optional: nullable ? { options: { values: 'falsy' } } : true
+});
+
+// Document ID in the given location
+const mongoId = (location, message, { required = true, nullable = false } = {}) => ({
+  in: [location],
+  ...(required ? {} : optional(nullable)),
+  isMongoId: { errorMessage: message }
+});
+
+// ID route parameters, e.g. idParams({ id: 'task', itemId: 'checklist item' })
+const idParams = (params) => Object.entries(params).reduce((schema, [name, label]) => {
+  schema[name] = mongoId('params', `Invalid ${label} ID`);
+  return schema;
+}, {});
+
+// ISO 8601 date, optionally required to be in the future
+const date = (location, message, { required = true, future = false } = {}) => ({
+  in: [location],
+  ...(required ? { exists: { errorMessage: message, options: { values: 'falsy' } } } : optional()),
+  isISO8601: { errorMessage: message, bail: true },
+  ...(future
+    ? {
+        custom: {
+          options: (value) => new Date(value) > new Date(),
+          errorMessage: 'Date must be in the future'
+        }
+      }
+    : {})
+});
+
+// Non-empty trimmed text
+const text = (location, label, { required = true, max } = {}) => ({
+  in: [location],
+  ...(required ? { exists: { errorMessage: `${label} is required`, bail: true } } : optional()),
+  isString: { errorMessage: `${label} must be text`, bail: true },
+  trim: true,
+  notEmpty: { errorMessage: `${label} is required` },
+  ...(max
+    ? {
+        isLength: {
+          options: { max },
+          errorMessage: `${label} cannot exceed ${max} characters`
+        }
+      }
+    : {})
+});
+
+const oneOf = (location, values, label, { required = true } = {}) => ({
+  in: [location],
+  ...(required ? {} : optional()),
+  isIn: {
+    options: [values],
+    errorMessage: `${label} must be one of: ${values.join(', ')}`
+  }
+});
+
+const boolean = (location, label) => ({
+  in: [location],
+  ...optional(),
+  isBoolean: { errorMessage: `${label} must be true or false` }
+});
+
+const email = (location, { required = true } = {}) => ({
+  in: [location],
+  ...(required ? {} : optional()),
+  isEmail: { errorMessage: 'Please provide a valid email' }
+});
+
+const password = (location, label = 'Password') => ({
+  in: [location],
+  isString: { errorMessage: `${label} is required`, bail: true },
+  isLength: {
+    options: { min: 6 },
+    errorMessage: `${label} must be at least 6 characters`
+  }
+});
+
+const locale = (location) => ({
+  in: [location],
+  ...optional(),
+  matches: {
+    options: LOCALE_PATTERN,
+    errorMessage: 'Please provide a valid locale such as en or es-MX'
+  }
+});
+
+// page and limit of paginated lists
+const pagination = {
+  page: {
+    in: ['query'],
+    ...optional(),
+    isInt: { options: { min: 1 }, errorMessage: 'Page must be a positive integer' }
+  },
+  limit: {
+    in: ['query'],
+    ...optional(),
+    isInt: { options: { min: 1 }, errorMessage: 'Limit must be a positive integer' }
+  }
+};
+
+module.exports = {
+  optional,
+  mongoId,
+  idParams,
+  date,
+  text,
+  oneOf,
+  boolean,
+  email,
+  password,
+  locale,
+  pagination
+};
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const { optional, mongoId, idParams, date, text, oneOf, boolean, email, locale, pagination } = require('./common');
+
+const employeeId = idParams({ id: 'employee' });
+
+// Filters shared by the employee list and the export
+const listFilters = {
+  search: text('query', 'Search', { required: false }),
+  department: text('query', 'Department', { required: false }),
+  pending: oneOf('query', ['true', 'false'], 'Pending', { required: false })
+};
+
+// Editable employee fields; required ones are only required when creating
+const employeeFields = ({ creating }) => ({
+  name: text('body', 'Name', { required: creating, max: 100 }),
+  email: email('body', { required: creating }),
+  department: text('body', 'Department', { required: creating, max: 100 }),
+  locale: locale('body'),
+  position: text('body', 'Position', { required: false, max: 100 }),
+  phone: text('body', 'Phone', { required: false, max: 30 }),
+  skills: {
+    in: ['body'],
+    ...optional(),
+    isArray: { errorMessage: 'Skills must be a list' }
+  },
+  'skills.*': text('body', 'Skill', { max: 50 })
+});
+
+exports.employeeIdSchema = employeeId;
+
+exports.listEmployeesSchema = {
+  ...pagination,
+  ...listFilters
+};
+
+exports.exportEmployeesSchema = listFilters;
+
+exports.deleteEmployeeSchema = {
+  ...employeeId,
+  transferTo: mongoId('query', 'Invalid employee ID to transfer tasks to', { required: false })
+};
+
+exports.createEmployeeSchema = employeeFields({ creating: true });
+
+exports.updateEmployeeSchema = {
+  ...employeeId,
+  ...employeeFields({ creating: false }),
+  isActive: boolean('body', 'isActive'),
+  role: text('body', 'Role', { required: false })
+};
+
+exports.createReviewSchema = {
+  ...employeeId,
+  rating: {
+    in: ['body'],
+    isInt: { options: { min: 1, max: 5 }, errorMessage: 'Rating must be between 1 and 5' }
+  },
+  comment: text('body', 'Comment', { required: false, max: 2000 }),
+  cycle: text('body', 'Cycle', { required: false, max: 50 }),
+  // A single task ID or a list of them
+  tasks: {
+    in: ['body'],
+    ...optional(),
+    custom: {
+      options: (value) => [].concat(value).every((id) => mongoose.isObjectIdOrHexString(id)),
+      errorMessage: 'Invalid task ID'
+    }
+  }
+};
+
+exports.reviewReportSchema = {
+  cycle: text('query', 'Cycle', { required: false }),
+  department: text('query', 'Department', { required: false }),
+  from: date('query', 'Invalid from date', { required: false }),
+  to: date('query', 'Invalid to date', { required: false })
+};
@@ -0,0 +1,3 @@
+const { idParams } = require('./common');
+
+exports.notificationIdSchema = idParams({ id: 'notification' });
@@ -0,0 +1,146 @@
+const Task = require('../models/Task');
+const { optional, mongoId, idParams, date, text, oneOf, boolean, pagination } = require('./common');
+
+const STATUSES = Task.schema.path('status').enumValues;
+const PRIORITIES = Task.schema.path('priority').enumValues;
+
+const taskId = idParams({ id: 'task' });
+
+const note = text('body', 'Note', { required: false, max: 500 });
+
+// Filters shared by the task list and the export
+const listFilters = {
+  status: oneOf('query', STATUSES, 'Status', { required: false }),
+  priority: oneOf('query', PRIORITIES, 'Priority', { required: false }),
+  assignedTo: mongoId('query', 'Invalid employee ID', { required: false, nullable: true }),
+  project: mongoId('query', 'Invalid project ID', { required: false, nullable: true }),
+  template: mongoId('query', 'Invalid template ID', { required: false, nullable: true }),
+  blocked: oneOf('query', ['true', 'false'], 'Blocked', { required: false }),
+  archived: oneOf('query', ['true', 'false'], 'Archived', { required: false }),
+  department: text('query', 'Department', { required: false }),
+  search: text('query', 'Search', { required: false })
+};
+
+// Editable task fields; required ones are only required when creating
+const taskFields = ({ creating }) => ({
+  title: text('body', 'Task title', { required: creating, max: 200 }),
+  description: text('body', 'Task description', { required: creating }),
+  assignedTo: mongoId('body', 'Invalid employee ID', { required: creating }),
+  priority: oneOf('body', PRIORITIES, 'Priority', { required: false }),
+  deadline: date('body', 'Please provide a valid deadline', { required: creating, future: true }),
+  estimatedHours: {
+    in: ['body'],
+    ...optional(),
+    isFloat: { options: { min: 0 }, errorMessage: 'Estimated hours must be a non-negative number' }
+  },
+  tags: {
+    in: ['body'],
+    ...optional(),
+    isArray: { errorMessage: 'Tags must be a list' }
+  },
+  'tags.*': text('body', 'Tag', { max: 50 }),
+  project: mongoId('body', 'Invalid project ID', { required: false, nullable: true }),
+  parent: mongoId('body', 'Invalid parent task ID', { required: false, nullable: true }),
+  checklist: {
+    in: ['body'],
+    ...optional(),
+    isArray: { errorMessage: 'Checklist must be a list' }
+  }
+});
+
+exports.taskIdSchema = taskId;
+
+exports.listTasksSchema = {
+  ...pagination,
+  ...listFilters
+};
+
+exports.exportTasksSchema = listFilters;
+
+exports.calendarSchema = {
+  startDate: date('query', 'Please provide a valid start date'),
+  endDate: date('query', 'Please provide a valid end date')
+};
+
+exports.dependencyGraphSchema = {
+  assignee: mongoId('query', 'Invalid employee ID', { required: false }),
+  project: mongoId('query', 'Invalid project ID', { required: false })
+};
+
+exports.createTaskSchema = taskFields({ creating: true });
+
+// Subtasks default to the parent's assignee and project
+exports.createSubtaskSchema = {
+  ...taskId,
+  ...taskFields({ creating: true }),
+  assignedTo: mongoId('body', 'Invalid employee ID', { required: false, nullable: true })
+};
+
+// The assignee and the checklist have their own endpoints
+const { assignedTo, checklist, ...updatableFields } = taskFields({ creating: false });
+
+exports.updateTaskSchema = {
+  ...taskId,
+  ...updatableFields,
+  status: oneOf('body', STATUSES, 'Status', { required: false })
+};
+
+const reason = text('body', 'Reason', { required: false, max: 500 });
+
+exports.reassignTaskSchema = {
+  ...taskId,
+  assignedTo: mongoId('body', 'Invalid employee ID'),
+  reason
+};
+
+exports.transferTasksSchema = {
+  from: mongoId('body', 'Invalid employee ID to transfer from'),
+  to: mongoId('body', 'Invalid employee ID to transfer to'),
+  reason
+};
+
+exports.commentSchema = {
+  ...taskId,
+  text: text('body', 'Comment', { max: 2000 })
+};
+
+exports.addChecklistItemSchema = {
+  ...taskId,
+  text: text('body', 'Checklist item text', { max: 500 })
+};
+
+exports.updateChecklistItemSchema = {
+  ...idParams({ id: 'task', itemId: 'checklist item' }),
+  text: text('body', 'Checklist item text', { required: false, max: 500 }),
+  done: boolean('body', 'Done')
+};
+
+exports.checklistItemIdSchema = idParams({ id: 'task', itemId: 'checklist item' });
+
+exports.addDependencySchema = {
+  ...taskId,
+  dependsOn: mongoId('body', 'Please provide a valid task ID to depend on')
+};
+
+exports.dependencyIdSchema = idParams({ id: 'task', dependencyId: 'dependency' });
+
+exports.logTimeSchema = {
+  ...taskId,
+  start: date('body', 'Please provide a valid start time'),
+  end: date('body', 'Please provide a valid end time', { required: false }),
+  duration: {
+    in: ['body'],
+    ...optional(),
+    isInt: { options: { min: 1 }, errorMessage: 'Duration must be a positive number of minutes' }
+  },
+  note
+};
+
+exports.timerSchema = {
+  ...taskId,
+  note
+};
+
+exports.timeEntryIdSchema = idParams({ id: 'task', entryId: 'time entry' });
+
+exports.attachmentIdSchema = idParams({ id: 'task', attachmentId: 'attachment' });
@@ -0,0 +1,9 @@
+const { mongoId, idParams, oneOf, pagination } = require('./common');
+
+exports.templateIdSchema = idParams({ id: 'template' });
+
+exports.listTemplatesSchema = {
+  ...pagination,
+  assignedTo: mongoId('query', 'Invalid employee ID', { required: false }),
+  paused: oneOf('query', ['true', 'false'], 'Paused', { required: false })
+};
@@ -0,0 +1,15 @@
+const { mongoId, date, oneOf } = require('./common');
+
+exports.timeReportSchema = {
+  employee: mongoId('query', 'Invalid employee ID', { required: false }),
+  project: mongoId('query', 'Invalid project ID', { required: false }),
+  from: date('query', 'Invalid from date', { required: false }),
+  to: date('query', 'Invalid to date', { required: false }),
+  groupBy: oneOf('query', ['task', 'employee'], 'groupBy', { required: false })
+};
+
+exports.timesheetSchema = {
+  employee: mongoId('query', 'Invalid employee ID'),
+  week: date('query', 'Invalid week date', { required: false }),
+  format: oneOf('query', ['json', 'csv'], 'Format', { required: false })
+};
@@ -0,0 +1,10 @@
+const { idParams, oneOf, pagination } = require('./common');
+
+exports.trashListSchema = {
+  ...pagination,
+  type: oneOf('query', ['tasks', 'employees'], 'Type', { required: false })
+};
+
+exports.trashTaskIdSchema = idParams({ id: 'task' });
+
+exports.trashEmployeeIdSchema = idParams({ id: 'employee' });